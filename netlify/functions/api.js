@@ -0,0 +1,149 @@
+// Netlify Function: versioned REST API for ERP, CRM and accounting systems (see ../lib/restApi.js)
+// Endpoint: /api/v1/... (redirected to /.netlify/functions/api/v1/... in netlify.toml)
+// Requires env vars: FIREBASE_SERVICE_ACCOUNT
+// Optional env vars: API_RATE_LIMIT (requests per API key per hour, default 600)
+// Optional dependencies (auto-bundled by Netlify): firebase-admin
+//
+// Every request sends an API key issued in the Integrations view (see ../lib/apiKeys.js) as
+// `Authorization: Bearer vfk...` or `X-API-Key: vfk...`.
+//
+//   GET  /api/v1/tenders                        tenders:read       ?status=Won,Lost&client=&changedSince=<ISO>&limit=&cursor=
+//                                                                   -> { data: [tender], nextCursor } in id order
+//   GET  /api/v1/tenders/{id}                   tenders:read       -> { data: tender }
+//   POST /api/v1/tenders                        tenders:write      { client, project, value?, ... } as for createTender
+//                                                                   -> 201 { data: tender }, 400 with details, 409
+//   GET  /api/v1/tenders/{id}/spec-reviews      spec_reviews:read  -> { data: [specReview] } newest first
+//   GET  /api/v1/tenders/{id}/spec-reviews/{runId}
+//                                               spec_reviews:read  -> { data: specReview with requirements }
+//
+// Failures use the error contract in ../lib/http.js. API keys are not tied to a tender team and see
+// every tender.
+//
+// The tender list reads one page of tenders at a time rather than the whole tree. With filters a page
+// can hold fewer than limit tenders, even none, while nextCursor is set: keep following nextCursor
+// until it is null.
+
+const { getFirebaseAdmin } = require('../lib/firebaseAdmin');
+const { authenticateApiKey, requireScope } = require('../lib/apiKeys');
+const { consumeRateLimit } = require('../lib/rateLimit');
+const { API_VERSION, apiTender, apiSpecReview, tenderListQuery } = require('../lib/restApi');
+const { validateTenderInput, createTender } = require('../lib/tenders');
+const { ERROR_CODES, HttpError, json, errorResponse, toErrorResponse } = require('../lib/http');
+
+// Tenders read for one list page at most, so a filter that matches little cannot scan the whole tree
+const MAX_SCANNED_PER_PAGE = 2000;
+
+const RATE_LIMIT = {
+  bucket: 'api',
+  limit: parseInt(process.env.API_RATE_LIMIT || '600', 10),
+  windowMs: 60 * 60 * 1000,
+};
+
+// "/api/v1/tenders/VS100" or "/.netlify/functions/api/v1/tenders/VS100" -> { version: 'v1', parts: ['tenders', 'VS100'] }
+const parsePath = (path) => {
+  const match = String(path || '').match(/\/api\/(v\d+)(?:\/(.*))?$/);
+  if (!match) return { version: null, parts: [] };
+  return { version: match[1], parts: (match[2] || '').split('/').filter(Boolean).map(decodeURIComponent) };
+};
+
+const loadTender = async (db, tenderId) => {
+  const tender = /^[\w-]+$/.test(tenderId) ? (await db.ref(`tenders/${tenderId}`).once('value')).val() : null;
+  if (!tender) throw new HttpError(404, ERROR_CODES.NOT_FOUND, `Tender ${tenderId} not found`);
+  return tender;
+};
+
+// Reads tenders in key order after the cursor until the page is full, the tenders run out or
+// MAX_SCANNED_PER_PAGE have been looked at. nextCursor is the last tender looked at.
+const listTenderPage = async (db, query) => {
+  const { matches, limit, cursor } = tenderListQuery(query);
+  const data = [];
+  let last = cursor;
+  let scanned = 0;
+  while (data.length < limit && scanned < MAX_SCANNED_PER_PAGE) {
+    const wanted = Math.min(limit - data.length, MAX_SCANNED_PER_PAGE - scanned);
+    const ordered = db.ref('tenders').orderByKey();
+    const snap = await (last ? ordered.startAfter(last) : ordered).limitToFirst(wanted).once('value');
+    const batch = [];
+    snap.forEach(child => {
+      batch.push([child.key, child.val()]);
+    });
+    batch.forEach(([id, tender]) => {
+      if (matches(tender)) data.push(apiTender(id, tender));
+    });
+    scanned += batch.length;
+    if (batch.length) last = batch[batch.length - 1][0];
+    if (batch.length < wanted) return { data, nextCursor: null };
+  }
+  return { data, nextCursor: last };
+};
+
+const createFromApi = async (db, key, event) => {
+  let body;
+  try {
+    body = JSON.parse(event.body || '{}');
+  } catch {
+    throw new HttpError(400, ERROR_CODES.BAD_REQUEST, 'Request body must be JSON');
+  }
+  const { fields, errors } = validateTenderInput(body && typeof body === 'object' ? body : {});
+  if (errors.length) {
+    throw new HttpError(400, ERROR_CODES.BAD_REQUEST, errors.join('; '), { details: errors });
+  }
+  const caller = { email: null, userData: { fullName: `API: ${key.name}` } };
+  const tender = await createTender(db, caller, fields, { source: 'api' });
+  console.log(`api: key ${key.id} (${key.name}) created ${tender.id}`);
+  return json(201, { data: apiTender(tender.id, tender) });
+};
+
+const routeV1 = async (db, key, event, parts) => {
+  const method = event.httpMethod;
+  const [resource, tenderId, child, runId] = parts;
+  if (resource !== 'tenders' || parts.length > 4 || (child && child !== 'spec-reviews')) {
+    throw new HttpError(404, ERROR_CODES.NOT_FOUND, `No such endpoint: /api/${API_VERSION}/${parts.join('/')}`);
+  }
+  const allow = !tenderId ? ['GET', 'POST'] : ['GET'];
+  if (!allow.includes(method)) {
+    return errorResponse(405, ERROR_CODES.METHOD_NOT_ALLOWED, `Use ${allow.join(' or ')} here`);
+  }
+
+  if (!tenderId && method === 'POST') {
+    requireScope(key, 'tenders:write');
+    return createFromApi(db, key, event);
+  }
+  if (!tenderId) {
+    requireScope(key, 'tenders:read');
+    return json(200, await listTenderPage(db, event.queryStringParameters || {}));
+  }
+  if (!child) {
+    requireScope(key, 'tenders:read');
+    return json(200, { data: apiTender(tenderId, await loadTender(db, tenderId)) });
+  }
+
+  requireScope(key, 'spec_reviews:read');
+  const runs = (await loadTender(db, tenderId)).specReviews || {};
+  if (runId) {
+    if (!runs[runId]) throw new HttpError(404, ERROR_CODES.NOT_FOUND, `Spec review ${runId} not found on ${tenderId}`);
+    return json(200, { data: apiSpecReview(tenderId, runId, runs[runId], { withItems: true }) });
+  }
+  const list = Object.entries(runs)
+    .filter(([, run]) => run)
+    .map(([id, run]) => apiSpecReview(tenderId, id, run))
+    .sort((a, b) => String(b.createdAt || '').localeCompare(String(a.createdAt || '')));
+  return json(200, { data: list });
+};
+
+exports.handler = async (event) => {
+  try {
+    const { version, parts } = parsePath(event.path);
+    if (version !== API_VERSION) {
+      throw new HttpError(404, ERROR_CODES.NOT_FOUND, `Unknown API version${version ? ` ${version}` : ''} - use /api/${API_VERSION}`);
+    }
+
+    const firebase = await getFirebaseAdmin();
+    const key = await authenticateApiKey(event, firebase.db);
+    await consumeRateLimit(firebase.db, key.id, RATE_LIMIT);
+    return await routeV1(firebase.db, key, event, parts);
+  } catch (error) {
+    if (!(error instanceof HttpError)) console.error('api error', error);
+    return toErrorResponse(error);
+  }
+};
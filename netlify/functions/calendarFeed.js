@@ -0,0 +1,86 @@
+// Netlify Function: per-user iCalendar feed of bid and task due dates
+// Endpoint: GET /.netlify/functions/calendarFeed?token=<feed token>
+// Requires env vars: FIREBASE_SERVICE_ACCOUNT
+// Optional dependencies (auto-bundled by Netlify): firebase-admin
+//
+// Calendar apps cannot send a Firebase ID token, so the feed URL carries a secret token instead.
+// Profile creates it as calendarFeeds/{token} = { uid, createdAt } and userPrivate/{uid}/calendarFeedToken,
+// which only the owner can read; regenerating the link deletes the old token. The feed lists open tenders the user is on the team
+// of and open tasks assigned to them, with reminders at the SLA thresholds.
+
+const { getFirebaseAdmin } = require('../lib/firebaseAdmin');
+const { isUserInTenderTeam, getUserDisplayNames } = require('../lib/permissions');
+const { CLOSED_STATES, settingsWithDefaults, isIsoDate, openTenderTasks } = require('../lib/sla');
+const { buildCalendar } = require('../lib/ical');
+const { ERROR_CODES, HttpError, errorResponse, toErrorResponse } = require('../lib/http');
+
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{24,128}$/;
+
+exports.handler = async (event) => {
+  try {
+    if (event.httpMethod !== 'GET') {
+      return errorResponse(405, ERROR_CODES.METHOD_NOT_ALLOWED, 'Method Not Allowed');
+    }
+    const token = event.queryStringParameters?.token || '';
+    if (!TOKEN_PATTERN.test(token)) {
+      throw new HttpError(400, ERROR_CODES.BAD_REQUEST, 'A valid feed token is required');
+    }
+
+    const firebase = await getFirebaseAdmin();
+    const feed = (await firebase.db.ref(`calendarFeeds/${token}`).once('value')).val();
+    if (!feed?.uid) {
+      throw new HttpError(404, ERROR_CODES.NOT_FOUND, 'This calendar link has been replaced or removed');
+    }
+    const [userData, current] = await Promise.all(
+      [`users/${feed.uid}`, `userPrivate/${feed.uid}/calendarFeedToken`].map(path => firebase.db.ref(path).once('value').then(s => s.val()))
+    );
+    if (!userData || userData.isActive === false || current !== token) {
+      throw new HttpError(404, ERROR_CODES.NOT_FOUND, 'This calendar link has been replaced or removed');
+    }
+
+    const [tenders, stored] = await Promise.all(
+      ['tenders', 'slaSettings'].map(path => firebase.db.ref(path).once('value').then(s => s.val()))
+    );
+    const { thresholdDays } = settingsWithDefaults(stored);
+    const names = getUserDisplayNames(userData);
+    const baseUrl = process.env.URL || `https://${event.headers?.host}`;
+    const events = [];
+
+    Object.entries(tenders || {}).forEach(([tenderId, tender]) => {
+      if (!tender || CLOSED_STATES.includes(tender.tenderStatus) || !isUserInTenderTeam(tender, userData)) return;
+      if (isIsoDate(tender.dueDate)) {
+        events.push({
+          uid: `tender-${tenderId}@vesselforge`,
+          date: tender.dueDate,
+          summary: `Bid due: ${tenderId} ${tender.client || ''}`.trim(),
+          description: `${tender.project || ''}\nStatus: ${tender.tenderStatus || 'Active'}`,
+          url: baseUrl,
+          reminderDays: thresholdDays,
+        });
+      }
+      openTenderTasks(tender)
+        .filter(task => isIsoDate(task.dueDate) && (task.assignees || []).some(n => names.includes(n)))
+        .forEach(task => events.push({
+          uid: `task-${tenderId}-${task.id}@vesselforge`,
+          date: task.dueDate,
+          summary: `Task due: ${task.title} (${tenderId})`,
+          description: task.description || '',
+          url: baseUrl,
+          reminderDays: thresholdDays.filter(d => d <= 2),
+        }));
+    });
+
+    return {
+      statusCode: 200,
+      headers: {
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': 'inline; filename="vesselforge-due-dates.ics"',
+        'Cache-Control': 'private, max-age=900',
+      },
+      body: buildCalendar({ name: `VesselForge - ${names[0] || 'due dates'}`, events }),
+    };
+  } catch (error) {
+    console.error('calendarFeed error', error.message);
+    return toErrorResponse(error);
+  }
+};
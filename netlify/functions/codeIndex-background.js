@@ -0,0 +1,54 @@
+// Netlify Background Function: (re)builds the clause index of the code library for one region
+// Endpoint: /.netlify/functions/codeIndex-background - called from the Code Library Admin tab
+// Requires env vars: FIREBASE_SERVICE_ACCOUNT
+// Optional dependencies (auto-bundled by Netlify): pdf-parse, firebase-admin
+//
+// Request:  POST { region, rebuild? } with `Authorization: Bearer <Firebase ID token>`
+// Netlify answers 202 immediately; progress is written to codeLibrary/{region}/indexing.
+
+const { getFirebaseAdmin } = require('../lib/firebaseAdmin');
+const { authenticate } = require('../lib/auth');
+const { CODE_LIBRARY_PERMISSIONS } = require('../lib/permissions');
+const { REGIONS, loadCodeLibrary } = require('../lib/codeLibrary');
+
+exports.handler = async (event) => {
+  let region;
+  let rebuild;
+  try {
+    ({ region, rebuild = false } = JSON.parse(event.body || '{}'));
+  } catch {
+    console.error('codeIndex-background: request body must be JSON');
+    return;
+  }
+  if (!REGIONS.includes(region)) {
+    console.error('codeIndex-background: unknown region', region);
+    return;
+  }
+
+  const firebase = await getFirebaseAdmin();
+  let caller;
+  try {
+    // Anyone who may upload code documents may index them
+    caller = await authenticate(event, firebase, { permissions: CODE_LIBRARY_PERMISSIONS });
+  } catch (error) {
+    console.error('codeIndex-background: rejected', error.message);
+    return;
+  }
+
+  const statusRef = firebase.db.ref(`codeLibrary/${region}/indexing`);
+  const diagnostics = [];
+  await statusRef.set({ status: 'running', startedAt: new Date().toISOString(), by: caller.email });
+  try {
+    const library = await loadCodeLibrary(firebase, region, diagnostics, { index: true, rebuild });
+    await statusRef.update({
+      status: 'done',
+      finishedAt: new Date().toISOString(),
+      documents: library.documents.length,
+      clauses: library.clauses.length,
+      diagnostics,
+    });
+  } catch (error) {
+    console.error('codeIndex-background error', region, error);
+    await statusRef.update({ status: 'failed', finishedAt: new Date().toISOString(), error: error.message, diagnostics });
+  }
+};
@@ -0,0 +1,41 @@
+// Netlify Background Function: runs a queued revision comparison (see ../lib/revisionCompareJob.js)
+// Endpoint: /.netlify/functions/compareRevisions-background - only called by compareRevisions and by itself
+// Requires env vars: FIREBASE_SERVICE_ACCOUNT, SPEC_REVIEW_JOB_SECRET, OCR providers for scans (see ../lib/ocr)
+// Optional dependencies (auto-bundled by Netlify): pdf-parse, mammoth, firebase-admin
+//
+// Netlify answers the caller with 202 immediately; the result is written to the job record.
+
+const { getFirebaseAdmin } = require('../lib/firebaseAdmin');
+const { runRevisionCompareJob, failRevisionCompareJob, enqueueRevisionCompare } = require('../lib/revisionCompareJob');
+
+exports.handler = async (event) => {
+  const secret = process.env.SPEC_REVIEW_JOB_SECRET;
+  if (!secret || event.headers?.['x-spec-review-secret'] !== secret) {
+    console.error('compareRevisions-background: rejected request without a valid job secret');
+    return;
+  }
+
+  let tenderId;
+  let compareId;
+  try {
+    ({ tenderId, compareId } = JSON.parse(event.body || '{}'));
+  } catch {
+    console.error('compareRevisions-background: request body must be JSON');
+    return;
+  }
+  if (!tenderId || !compareId) {
+    console.error('compareRevisions-background: tenderId and compareId required');
+    return;
+  }
+
+  const firebase = await getFirebaseAdmin();
+  try {
+    const outcome = await runRevisionCompareJob(firebase, tenderId, compareId);
+    if (outcome === 'continue') {
+      await enqueueRevisionCompare(process.env.URL || `https://${event.headers?.host}`, tenderId, compareId);
+    }
+  } catch (error) {
+    console.error('compareRevisions-background error', tenderId, compareId, error);
+    await failRevisionCompareJob(firebase, tenderId, compareId, error).catch(e => console.error('Could not mark comparison failed', e.message));
+  }
+};
@@ -0,0 +1,98 @@
+// Netlify Function: clause-by-clause comparison of two revisions of a tender document - job submission
+// Endpoint: /.netlify/functions/compareRevisions
+// Requires env vars: FIREBASE_SERVICE_ACCOUNT, SPEC_REVIEW_JOB_SECRET
+// Optional env vars: COMPARE_RATE_LIMIT (comparisons per user per hour, default 30), OCR providers (see ../lib/ocr)
+// Optional dependencies (auto-bundled by Netlify): firebase-admin, pdf-parse, mammoth
+//
+// Request:  POST { tenderId, fromFileId, toFileId } - two files of tender-files/{tenderId},
+//           with `Authorization: Bearer <Firebase ID token>`
+// Response: 200 { tenderId, compareId, status: 'done' } when both files' text was already extracted,
+//           202 { tenderId, compareId, status: 'queued' } otherwise, or the error contract in ../lib/http.js
+//
+// The result is written to revisionCompares/{tenderId}/{compareId} (see ../lib/revisionCompareJob.js),
+// which the Files tab subscribes to. Text is extracted the same way the spec review does, so scanned
+// revisions are OCR'd page by page in compareRevisions-background.
+
+const { getFirebaseAdmin } = require('../lib/firebaseAdmin');
+const { authenticate } = require('../lib/auth');
+const { consumeRateLimit } = require('../lib/rateLimit');
+const { isUserInTenderTeam } = require('../lib/permissions');
+const {
+  JOB_STATUS, compareIdFor, isInFlight, isTextReady, createCompareRecord, enqueueRevisionCompare, runRevisionCompareJob,
+  failRevisionCompareJob,
+} = require('../lib/revisionCompareJob');
+const { ERROR_CODES, HttpError, json, errorResponse, toErrorResponse } = require('../lib/http');
+
+const RATE_LIMIT = {
+  bucket: 'compareRevisions',
+  limit: parseInt(process.env.COMPARE_RATE_LIMIT || '30', 10),
+  windowMs: 60 * 60 * 1000,
+};
+
+exports.handler = async (event) => {
+  try {
+    if (event.httpMethod !== 'POST') {
+      return errorResponse(405, ERROR_CODES.METHOD_NOT_ALLOWED, 'Method Not Allowed');
+    }
+
+    if (!process.env.SPEC_REVIEW_JOB_SECRET) {
+      return errorResponse(501, ERROR_CODES.NOT_CONFIGURED, 'SPEC_REVIEW_JOB_SECRET not set on server');
+    }
+
+    const firebase = await getFirebaseAdmin();
+    const caller = await authenticate(event, firebase);
+
+    let body;
+    try {
+      body = JSON.parse(event.body || '{}');
+    } catch {
+      throw new HttpError(400, ERROR_CODES.BAD_REQUEST, 'Request body must be JSON');
+    }
+    const { tenderId, fromFileId, toFileId } = body;
+    const validId = (id) => /^[\w-]+$/.test(String(id || ''));
+    if (!validId(tenderId) || !validId(fromFileId) || !validId(toFileId) || String(fromFileId) === String(toFileId)) {
+      throw new HttpError(400, ERROR_CODES.BAD_REQUEST, 'tenderId and two different file ids required');
+    }
+
+    const tender = (await firebase.db.ref(`tenders/${tenderId}`).once('value')).val();
+    if (!tender) {
+      throw new HttpError(404, ERROR_CODES.NOT_FOUND, `Tender ${tenderId} not found`);
+    }
+    if (!isUserInTenderTeam(tender, caller.userData)) {
+      throw new HttpError(403, ERROR_CODES.FORBIDDEN, `You are not on the ${tenderId} tender team`);
+    }
+
+    const [fromFile, toFile] = await Promise.all([fromFileId, toFileId].map(id =>
+      firebase.db.ref(`tender-files/${tenderId}/${id}`).once('value').then(s => s.val())));
+    if (!fromFile || !toFile) {
+      throw new HttpError(404, ERROR_CODES.NOT_FOUND, `File ${fromFile ? toFileId : fromFileId} not found on ${tenderId}`);
+    }
+
+    const compareId = compareIdFor(fromFileId, toFileId);
+    const jobRef = firebase.db.ref(`revisionCompares/${tenderId}/${compareId}`);
+    // Asking again while the same pair is still being extracted waits for that job
+    if (isInFlight((await jobRef.once('value')).val())) {
+      return json(202, { tenderId, compareId, status: JOB_STATUS.QUEUED });
+    }
+    await consumeRateLimit(firebase.db, caller.uid, RATE_LIMIT);
+    await jobRef.set(createCompareRecord({ tenderId, fromFileId, toFileId, caller }));
+
+    if (await isTextReady(firebase.bucket, tenderId, [fromFile, toFile])) {
+      const status = await runRevisionCompareJob(firebase, tenderId, compareId).catch(async (error) => {
+        await failRevisionCompareJob(firebase, tenderId, compareId, error);
+        throw error;
+      });
+      return json(200, { tenderId, compareId, status });
+    }
+    try {
+      await enqueueRevisionCompare(process.env.URL || `https://${event.headers?.host}`, tenderId, compareId);
+    } catch (e) {
+      await jobRef.update({ status: JOB_STATUS.FAILED, errorCode: ERROR_CODES.UPSTREAM_ERROR, error: `Could not start the comparison: ${e.message}` });
+      throw new HttpError(502, ERROR_CODES.UPSTREAM_ERROR, 'Could not start the comparison - try again', { details: e.message });
+    }
+    return json(202, { tenderId, compareId, status: JOB_STATUS.QUEUED });
+  } catch (error) {
+    if (!(error instanceof HttpError)) console.error('compareRevisions error', error);
+    return toErrorResponse(error);
+  }
+};
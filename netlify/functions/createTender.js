@@ -0,0 +1,48 @@
+// Netlify Function: creates a tender with the next free VS number (see ../lib/tenders.js)
+// Endpoint: /.netlify/functions/createTender
+// Requires env vars: FIREBASE_SERVICE_ACCOUNT
+// Optional dependencies (auto-bundled by Netlify): firebase-admin
+//
+// Request:  POST { tender: { vsNumber?, client, clientId?, project, value?, priorityNumber?, dateReceived?, dueDate?,
+//           requiresDesign?, assignedTo?, salesManager?, designer?, planner? } }
+//           with `Authorization: Bearer <Firebase ID token>`
+// Response: 200 { id, tender }, 400 with details listing what is wrong with the tender, 409 when the
+//           VS number typed in is taken, or the error contract in ../lib/http.js
+//
+// The database rules no longer let the browser create tenders/{id}, so every number goes through here.
+
+const { getFirebaseAdmin } = require('../lib/firebaseAdmin');
+const { authenticate } = require('../lib/auth');
+const { validateTenderInput, createTender } = require('../lib/tenders');
+const { ERROR_CODES, HttpError, json, errorResponse, toErrorResponse } = require('../lib/http');
+
+exports.handler = async (event) => {
+  try {
+    if (event.httpMethod !== 'POST') {
+      return errorResponse(405, ERROR_CODES.METHOD_NOT_ALLOWED, 'Method Not Allowed');
+    }
+
+    const firebase = await getFirebaseAdmin();
+    const caller = await authenticate(event, firebase, { permissions: ['create_tenders'] });
+
+    let body;
+    try {
+      body = JSON.parse(event.body || '{}');
+    } catch {
+      throw new HttpError(400, ERROR_CODES.BAD_REQUEST, 'Request body must be JSON');
+    }
+    if (!body.tender || typeof body.tender !== 'object') {
+      throw new HttpError(400, ERROR_CODES.BAD_REQUEST, 'tender required');
+    }
+
+    const { fields, errors } = validateTenderInput(body.tender);
+    if (errors.length) {
+      throw new HttpError(400, ERROR_CODES.BAD_REQUEST, errors.join('; '), { details: errors });
+    }
+    const tender = await createTender(firebase.db, caller, fields);
+    return json(200, { id: tender.id, tender });
+  } catch (error) {
+    if (!(error instanceof HttpError)) console.error('createTender error', error);
+    return toErrorResponse(error);
+  }
+};
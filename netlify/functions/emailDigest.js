@@ -0,0 +1,21 @@
+// Netlify Scheduled Function: daily notification email digest (see ../lib/notify.js)
+// Schedule: daily, set in netlify.toml ([functions."emailDigest"])
+// Requires env vars: FIREBASE_SERVICE_ACCOUNT, SMTP_HOST, SMTP_FROM (see ../lib/mailer.js)
+// Optional dependencies (auto-bundled by Netlify): firebase-admin, nodemailer
+//
+// Sends each user one email with the notifications queued under emailDigest/{uid} and clears them.
+
+const { getFirebaseAdmin } = require('../lib/firebaseAdmin');
+const { sendDigests } = require('../lib/notify');
+
+exports.handler = async () => {
+  try {
+    const firebase = await getFirebaseAdmin();
+    const result = await sendDigests(firebase.db);
+    console.log(`emailDigest: sent ${result.sent} digest(s)${result.skipped ? ` - ${result.skipped}` : ''}`);
+    return { statusCode: 200 };
+  } catch (error) {
+    console.error('emailDigest error', error);
+    return { statusCode: 500 };
+  }
+};
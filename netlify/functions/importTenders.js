@@ -0,0 +1,75 @@
+// Netlify Function: bulk tender import from a spreadsheet (see ../lib/tenders.js)
+// Endpoint: /.netlify/functions/importTenders
+// Requires env vars: FIREBASE_SERVICE_ACCOUNT
+// Optional dependencies (auto-bundled by Netlify): firebase-admin
+//
+// Request:  POST { rows: [{ rowNumber, values: { vsNumber?, client, project, ... } }], dryRun?: boolean,
+//           includeDuplicates?: boolean, monthFirst?: boolean } with `Authorization: Bearer <Firebase ID token>`
+//           The browser reads the CSV/XLSX file and maps its columns to the tender fields.
+// Response: 200 { dryRun, rows: [{ rowNumber, id, status, errors, warnings, duplicateOf, created? }],
+//           summary: { ok, warning, duplicate, error, created } } or the error contract in ../lib/http.js
+//
+// Every row is validated on each call. Rows with errors are never created; possible duplicates (same
+// client and project as an existing tender or an earlier row) only when includeDuplicates is set.
+// Dates are read as DD/MM/YYYY unless monthFirst is set; ISO dates and spreadsheet serials always work.
+
+const { getFirebaseAdmin } = require('../lib/firebaseAdmin');
+const { authenticate } = require('../lib/auth');
+const { validateImportRows, createImportedTenders } = require('../lib/tenders');
+const { ERROR_CODES, HttpError, json, errorResponse, toErrorResponse } = require('../lib/http');
+
+const MAX_ROWS = 1000;
+
+const summarize = (rows) => rows.reduce((summary, row) => {
+  summary[row.status]++;
+  if (row.created) summary.created++;
+  return summary;
+}, { ok: 0, warning: 0, duplicate: 0, error: 0, created: 0 });
+
+exports.handler = async (event) => {
+  try {
+    if (event.httpMethod !== 'POST') {
+      return errorResponse(405, ERROR_CODES.METHOD_NOT_ALLOWED, 'Method Not Allowed');
+    }
+
+    const firebase = await getFirebaseAdmin();
+    const caller = await authenticate(event, firebase, { permissions: ['create_tenders'] });
+
+    let body;
+    try {
+      body = JSON.parse(event.body || '{}');
+    } catch {
+      throw new HttpError(400, ERROR_CODES.BAD_REQUEST, 'Request body must be JSON');
+    }
+    const { rows, dryRun = true, includeDuplicates = false, monthFirst = false } = body;
+    if (!Array.isArray(rows) || rows.length === 0) {
+      throw new HttpError(400, ERROR_CODES.BAD_REQUEST, 'rows required');
+    }
+    if (rows.length > MAX_ROWS) {
+      throw new HttpError(400, ERROR_CODES.BAD_REQUEST, `At most ${MAX_ROWS} rows can be imported at once - split the file`);
+    }
+
+    const report = await validateImportRows(firebase.db, rows.map((row, i) => ({
+      rowNumber: row?.rowNumber || i + 1,
+      values: row?.values && typeof row.values === 'object' ? row.values : {},
+    })), { monthFirst: !!monthFirst });
+
+    let results = report;
+    if (!dryRun) {
+      const importable = report.filter(row => row.status === 'ok' || row.status === 'warning' || (includeDuplicates && row.status === 'duplicate'));
+      const created = await createImportedTenders(firebase.db, caller, importable);
+      const byRow = new Map(created.map(row => [row.rowNumber, row]));
+      results = report.map(row => byRow.get(row.rowNumber) || row);
+      console.log(`importTenders: ${caller.email} created ${created.filter(row => row.created).length} of ${rows.length} rows`);
+    }
+
+    return json(200, {
+      dryRun: !!dryRun,
+      rows: results.map(({ fields, ...row }) => row),
+      summary: summarize(results),
+    });
+  } catch (error) {
+    if (!(error instanceof HttpError)) console.error('importTenders error', error);
+    return toErrorResponse(error);
+  }
+};
@@ -0,0 +1,81 @@
+// Netlify Function: API keys and webhooks for the administrators' Integrations view
+// (see ../lib/apiKeys.js and ../lib/webhooks.js)
+// Endpoint: /.netlify/functions/integrations
+// Requires env vars: FIREBASE_SERVICE_ACCOUNT
+// Optional dependencies (auto-bundled by Netlify): firebase-admin
+//
+// Request:  POST { action: 'createKey', name, scopes }            -> 200 { key, token }
+//           POST { action: 'revokeKey', keyId }                    -> 200 { ok }
+//           POST { action: 'createWebhook', url, events }          -> 200 { webhook }
+//           POST { action: 'updateWebhook', webhookId, url?, events?, active?, rotateSecret? }
+//                                                                  -> 200 { webhook }
+//           POST { action: 'deleteWebhook', webhookId }            -> 200 { ok }
+//           POST { action: 'testWebhook', webhookId }              -> 200 { delivery }
+//           POST { action: 'redeliver', deliveryId }               -> 200 { ok }
+//           with `Authorization: Bearer <Firebase ID token>` of a user with 'all'
+// Response: as above, or the error contract in ../lib/http.js
+//
+// The key token is only returned by createKey; the database keeps a hash of it. Administrators read
+// apiKeys, webhooks and webhookDeliveries directly, but only this function writes them.
+
+const { getFirebaseAdmin } = require('../lib/firebaseAdmin');
+const { authenticate } = require('../lib/auth');
+const { createApiKey, revokeApiKey } = require('../lib/apiKeys');
+const { createWebhook, updateWebhook, deleteWebhook, redeliver, sendTestEvent } = require('../lib/webhooks');
+const { ERROR_CODES, HttpError, json, errorResponse, toErrorResponse } = require('../lib/http');
+
+const requireId = (value, name) => {
+  if (!value || typeof value !== 'string' || !/^[\w-]+$/.test(value)) {
+    throw new HttpError(400, ERROR_CODES.BAD_REQUEST, `${name} required`);
+  }
+  return value;
+};
+
+exports.handler = async (event) => {
+  try {
+    if (event.httpMethod !== 'POST') {
+      return errorResponse(405, ERROR_CODES.METHOD_NOT_ALLOWED, 'Method Not Allowed');
+    }
+
+    const firebase = await getFirebaseAdmin();
+    const caller = await authenticate(event, firebase, { permissions: ['all'] });
+    const { db } = firebase;
+
+    let body;
+    try {
+      body = JSON.parse(event.body || '{}');
+    } catch {
+      throw new HttpError(400, ERROR_CODES.BAD_REQUEST, 'Request body must be JSON');
+    }
+
+    switch (body.action) {
+      case 'createKey': {
+        const { key, token } = await createApiKey(db, caller, body);
+        console.log(`integrations: ${caller.email} issued API key ${key.id} (${key.name}) with ${key.scopes.join(', ')}`);
+        const { hash, ...shown } = key;
+        return json(200, { key: shown, token });
+      }
+      case 'revokeKey':
+        await revokeApiKey(db, requireId(body.keyId, 'keyId'));
+        console.log(`integrations: ${caller.email} revoked API key ${body.keyId}`);
+        return json(200, { ok: true });
+      case 'createWebhook':
+        return json(200, { webhook: await createWebhook(db, caller, body) });
+      case 'updateWebhook':
+        return json(200, { webhook: await updateWebhook(db, requireId(body.webhookId, 'webhookId'), body) });
+      case 'deleteWebhook':
+        await deleteWebhook(db, requireId(body.webhookId, 'webhookId'));
+        return json(200, { ok: true });
+      case 'testWebhook':
+        return json(200, { delivery: await sendTestEvent(db, requireId(body.webhookId, 'webhookId'), caller) });
+      case 'redeliver':
+        await redeliver(db, requireId(body.deliveryId, 'deliveryId'));
+        return json(200, { ok: true });
+      default:
+        throw new HttpError(400, ERROR_CODES.BAD_REQUEST, 'Unknown action');
+    }
+  } catch (error) {
+    if (!(error instanceof HttpError)) console.error('integrations error', error);
+    return toErrorResponse(error);
+  }
+};
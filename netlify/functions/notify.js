@@ -0,0 +1,97 @@
+// Netlify Function: notification dispatch
+// Endpoint: /.netlify/functions/notify
+// Requires env vars: FIREBASE_SERVICE_ACCOUNT
+// Optional env vars: SMTP_* (see ../lib/mailer.js - without them only in-app notifications are written),
+// NOTIFY_RATE_LIMIT (dispatches per user per hour, default 200)
+// Optional dependencies (auto-bundled by Netlify): firebase-admin, nodemailer
+//
+// Request:  POST { event, tenderId, recipients: [email], title, body }
+//           with `Authorization: Bearer <Firebase ID token>`
+// Response: 200 { inApp, emailed, queued } or the error contract in ../lib/http.js
+//
+// The dashboard calls this when someone is mentioned, replied to, given a task or a tender changes
+// status. Each recipient's notificationPrefs decide between in-app, immediate email and the daily
+// digest (see ../lib/notify.js); due_soon is raised by the slaCheck schedule, not through here.
+
+const { getFirebaseAdmin } = require('../lib/firebaseAdmin');
+const { authenticate } = require('../lib/auth');
+const { consumeRateLimit } = require('../lib/rateLimit');
+const { isUserInTenderTeam } = require('../lib/permissions');
+const { deliverNotifications } = require('../lib/notify');
+const { ERROR_CODES, HttpError, json, errorResponse, toErrorResponse } = require('../lib/http');
+
+const CLIENT_EVENTS = ['mention', 'reply', 'action_assigned', 'status_change'];
+const MAX_RECIPIENTS = 50;
+const RATE_LIMIT = {
+  bucket: 'notify',
+  limit: parseInt(process.env.NOTIFY_RATE_LIMIT || '200', 10),
+  windowMs: 60 * 60 * 1000,
+};
+
+exports.handler = async (event) => {
+  try {
+    if (event.httpMethod !== 'POST') {
+      return errorResponse(405, ERROR_CODES.METHOD_NOT_ALLOWED, 'Method Not Allowed');
+    }
+
+    const firebase = await getFirebaseAdmin();
+    const caller = await authenticate(event, firebase);
+
+    let body;
+    try {
+      body = JSON.parse(event.body || '{}');
+    } catch {
+      throw new HttpError(400, ERROR_CODES.BAD_REQUEST, 'Request body must be JSON');
+    }
+    const { event: notifyEvent, tenderId, recipients = [], title, body: text } = body;
+    if (!CLIENT_EVENTS.includes(notifyEvent)) {
+      throw new HttpError(400, ERROR_CODES.BAD_REQUEST, `event must be one of ${CLIENT_EVENTS.join(', ')}`);
+    }
+    if (!tenderId || !Array.isArray(recipients) || typeof title !== 'string' || !title.trim()) {
+      throw new HttpError(400, ERROR_CODES.BAD_REQUEST, 'tenderId, recipients[] and title required');
+    }
+
+    const tender = (await firebase.db.ref(`tenders/${tenderId}`).once('value')).val();
+    if (!tender) {
+      throw new HttpError(404, ERROR_CODES.NOT_FOUND, `Tender ${tenderId} not found`);
+    }
+    if (!isUserInTenderTeam(tender, caller.userData)) {
+      throw new HttpError(403, ERROR_CODES.FORBIDDEN, `You are not on the ${tenderId} tender team`);
+    }
+
+    // Nobody is notified about their own actions
+    const emails = [...new Set(recipients
+      .filter(e => typeof e === 'string' && e.includes('@'))
+      .map(e => e.trim().toLowerCase()))]
+      .filter(e => e !== String(caller.email).toLowerCase());
+    if (emails.length > MAX_RECIPIENTS) {
+      throw new HttpError(400, ERROR_CODES.BAD_REQUEST, `At most ${MAX_RECIPIENTS} recipients per notification`);
+    }
+    if (!emails.length) {
+      return json(200, { inApp: 0, emailed: 0, queued: 0 });
+    }
+    await consumeRateLimit(firebase.db, caller.uid, RATE_LIMIT);
+
+    const users = (await firebase.db.ref('users').once('value')).val() || {};
+    const notification = {
+      id: firebase.db.ref('notifications').push().key,
+      type: notifyEvent,
+      title: title.trim().slice(0, 200),
+      body: String(text || '').slice(0, 1000),
+      tenderRef: tenderId,
+      from: caller.userData?.fullName || caller.email,
+      createdAt: Date.now(),
+      read: false,
+    };
+    const counts = await deliverNotifications(
+      firebase.db,
+      users,
+      emails.map(email => ({ email, notification })),
+      { baseUrl: process.env.URL || `https://${event.headers?.host}` }
+    );
+    return json(200, counts);
+  } catch (error) {
+    if (!(error instanceof HttpError)) console.error('notify error', error);
+    return toErrorResponse(error);
+  }
+};
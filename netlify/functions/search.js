@@ -0,0 +1,78 @@
+// Netlify Function: global search (see ../lib/search.js)
+// Endpoint: /.netlify/functions/search
+// Requires env vars: FIREBASE_SERVICE_ACCOUNT
+// Optional dependencies (auto-bundled by Netlify): firebase-admin
+//
+// Request:  POST { q, types?: ['tender' | 'message' | 'file' | 'note' | 'requirement'], status?, client?,
+//           from?: 'YYYY-MM-DD', to?: 'YYYY-MM-DD', limit? } with `Authorization: Bearer <Firebase ID token>`
+// Response: 200 { results, total, terms, indexedAt } or the error contract in ../lib/http.js
+//
+// Only tenders whose team the caller is on are searched (General Managers see every tender), and only
+// their documents are downloaded. The index is refreshed by the searchIndex schedule, so results can
+// be a few minutes behind.
+
+const { getFirebaseAdmin } = require('../lib/firebaseAdmin');
+const { authenticate } = require('../lib/auth');
+const { searchableTenderIds, runSearch } = require('../lib/search');
+const { ERROR_CODES, HttpError, json, errorResponse, toErrorResponse } = require('../lib/http');
+
+const MAX_RESULTS = 100;
+// searchIndex (the small per-tender entries) is read once and reused by warm containers for this long
+const INDEX_CACHE_MS = 60 * 1000;
+
+let cachedIndex = null;
+// { [tenderId]: { indexedAt, docs } } - a tender's documents are only read again once it is re-indexed
+const cachedDocs = {};
+
+const loadIndex = async (db) => {
+  if (cachedIndex && Date.now() - cachedIndex.at < INDEX_CACHE_MS) return cachedIndex;
+  const index = (await db.ref('searchIndex').once('value')).val() || {};
+  const indexedAt = Math.max(0, ...Object.values(index).map(entry => entry?.indexedAt || 0));
+  cachedIndex = { at: Date.now(), index, indexedAt: indexedAt || null };
+  return cachedIndex;
+};
+
+const loadDocs = async (db, index, tenderIds) => {
+  await Promise.all(tenderIds.map(async (tenderId) => {
+    const { indexedAt } = index[tenderId];
+    if (cachedDocs[tenderId]?.indexedAt === indexedAt) return;
+    const docs = (await db.ref(`searchDocs/${tenderId}`).once('value')).val() || {};
+    cachedDocs[tenderId] = { indexedAt, docs };
+  }));
+  return Object.fromEntries(tenderIds.map(tenderId => [tenderId, cachedDocs[tenderId].docs]));
+};
+
+exports.handler = async (event) => {
+  try {
+    if (event.httpMethod !== 'POST') {
+      return errorResponse(405, ERROR_CODES.METHOD_NOT_ALLOWED, 'Method Not Allowed');
+    }
+
+    const firebase = await getFirebaseAdmin();
+    const caller = await authenticate(event, firebase, { permissions: ['view_tenders', 'view_all'] });
+
+    let body;
+    try {
+      body = JSON.parse(event.body || '{}');
+    } catch {
+      throw new HttpError(400, ERROR_CODES.BAD_REQUEST, 'Request body must be JSON');
+    }
+    const { q, types, status, client, from, to } = body;
+    if (typeof q !== 'string' || !q.trim()) {
+      throw new HttpError(400, ERROR_CODES.BAD_REQUEST, 'q required');
+    }
+    if ([from, to].some(d => d && !/^\d{4}-\d{2}-\d{2}$/.test(d))) {
+      throw new HttpError(400, ERROR_CODES.BAD_REQUEST, 'from and to must be YYYY-MM-DD');
+    }
+    const limit = Math.min(MAX_RESULTS, Math.max(1, parseInt(body.limit || '50', 10) || 50));
+
+    const filters = { types: Array.isArray(types) ? types : [], status, client, from, to };
+    const { index, indexedAt } = await loadIndex(firebase.db);
+    const docs = await loadDocs(firebase.db, index, searchableTenderIds(index, caller.userData, filters));
+    const result = runSearch(index, docs, caller.userData, q.slice(0, 200), filters, { limit });
+    return json(200, { ...result, indexedAt });
+  } catch (error) {
+    if (!(error instanceof HttpError)) console.error('search error', error);
+    return toErrorResponse(error);
+  }
+};
@@ -0,0 +1,21 @@
+// Netlify Scheduled Function: keeps the global search index up to date (see ../lib/search.js)
+// Schedule: every 10 minutes, set in netlify.toml ([functions."searchIndex"])
+// Requires env vars: FIREBASE_SERVICE_ACCOUNT
+// Optional dependencies (auto-bundled by Netlify): firebase-admin
+//
+// Re-indexes the tenders marked in searchQueue since the last run and drops deleted ones.
+
+const { getFirebaseAdmin, shallowKeys } = require('../lib/firebaseAdmin');
+const { refreshSearchIndex } = require('../lib/search');
+
+exports.handler = async () => {
+  try {
+    const firebase = await getFirebaseAdmin();
+    const { indexed, removed, pending } = await refreshSearchIndex(firebase.db, path => shallowKeys(firebase, path));
+    console.log(`searchIndex: indexed ${indexed} tender(s), removed ${removed}${pending ? `, ${pending} left for the next run` : ''}`);
+    return { statusCode: 200 };
+  } catch (error) {
+    console.error('searchIndex error', error);
+    return { statusCode: 500 };
+  }
+};
@@ -0,0 +1,24 @@
+// Netlify Scheduled Function: due-date SLA check (see ../lib/sla.js)
+// Schedule: hourly, set in netlify.toml ([functions."slaCheck"])
+// Requires env vars: FIREBASE_SERVICE_ACCOUNT
+// Optional env vars: SLA_TIMEZONE (IANA zone the due dates are kept in, default Australia/Sydney)
+// Optional env vars: SMTP_* to email the alerts (see ../lib/mailer.js)
+// Optional dependencies (auto-bundled by Netlify): firebase-admin, nodemailer
+//
+// Notifies the tender team or task assignees as each threshold is reached, and escalates overdue
+// bids to the slaSettings escalation roles. Delivery follows each user's due_soon preferences.
+
+const { getFirebaseAdmin } = require('../lib/firebaseAdmin');
+const { runSlaCheck } = require('../lib/sla');
+
+exports.handler = async () => {
+  try {
+    const firebase = await getFirebaseAdmin();
+    const raised = await runSlaCheck(firebase.db);
+    console.log(`slaCheck: raised ${raised} notification(s)`);
+    return { statusCode: 200 };
+  } catch (error) {
+    console.error('slaCheck error', error);
+    return { statusCode: 500 };
+  }
+};
@@ -0,0 +1,41 @@
+// Netlify Background Function: runs a queued spec review job (see ../lib/specReviewJob.js)
+// Endpoint: /.netlify/functions/specReview-background - only called by specReview and by itself
+// Requires env vars: FIREBASE_SERVICE_ACCOUNT, SPEC_REVIEW_JOB_SECRET and the run's LLM provider (see ../lib/llm)
+// Optional dependencies (auto-bundled by Netlify): @anthropic-ai/sdk, pdf-parse, mammoth, firebase-admin
+//
+// Netlify answers the caller with 202 immediately; progress is written to the job record.
+
+const { getFirebaseAdmin } = require('../lib/firebaseAdmin');
+const { runSpecReviewJob, failSpecReviewJob, enqueueSpecReviewJob } = require('../lib/specReviewJob');
+
+exports.handler = async (event) => {
+  const secret = process.env.SPEC_REVIEW_JOB_SECRET;
+  if (!secret || event.headers?.['x-spec-review-secret'] !== secret) {
+    console.error('specReview-background: rejected request without a valid job secret');
+    return;
+  }
+
+  let tenderId;
+  let runId;
+  try {
+    ({ tenderId, runId } = JSON.parse(event.body || '{}'));
+  } catch {
+    console.error('specReview-background: request body must be JSON');
+    return;
+  }
+  if (!tenderId || !runId) {
+    console.error('specReview-background: tenderId and runId required');
+    return;
+  }
+
+  const firebase = await getFirebaseAdmin();
+  try {
+    const outcome = await runSpecReviewJob(firebase, tenderId, runId);
+    if (outcome === 'continue') {
+      await enqueueSpecReviewJob(process.env.URL || `https://${event.headers?.host}`, tenderId, runId);
+    }
+  } catch (error) {
+    console.error('specReview-background error', tenderId, runId, error);
+    await failSpecReviewJob(firebase, tenderId, runId, error).catch(e => console.error('Could not mark job failed', e.message));
+  }
+};
@@ -0,0 +1,47 @@
+// Netlify Function: refresh the permissions the security rules check (see ../lib/access.js)
+// Endpoint: /.netlify/functions/syncAccess
+// Requires env vars: FIREBASE_SERVICE_ACCOUNT
+// Optional dependencies (auto-bundled by Netlify): firebase-admin
+//
+// Request:  POST {} for the caller, { uid } for another user or { all: true } for everyone
+//           (both need the 'all' permission), with `Authorization: Bearer <Firebase ID token>`
+// Response: 200 { synced, access? } or the error contract in ../lib/http.js
+//
+// The dashboard calls this on sign-in before it subscribes to anything, and after an administrator
+// changes someone's role or custom permissions. Callers refresh their ID token afterwards so
+// Storage sees the new claims.
+
+const { getFirebaseAdmin } = require('../lib/firebaseAdmin');
+const { authenticate } = require('../lib/auth');
+const { hasPermission } = require('../lib/permissions');
+const { syncUserAccess } = require('../lib/access');
+const { ERROR_CODES, HttpError, json, errorResponse, toErrorResponse } = require('../lib/http');
+
+exports.handler = async (event) => {
+  try {
+    if (event.httpMethod !== 'POST') {
+      return errorResponse(405, ERROR_CODES.METHOD_NOT_ALLOWED, 'Method Not Allowed');
+    }
+
+    const firebase = await getFirebaseAdmin();
+    const caller = await authenticate(event, firebase);
+
+    let body;
+    try {
+      body = JSON.parse(event.body || '{}');
+    } catch {
+      throw new HttpError(400, ERROR_CODES.BAD_REQUEST, 'Request body must be JSON');
+    }
+    const { uid, all } = body;
+    const forOthers = all || (uid && uid !== caller.uid);
+    if (forOthers && !hasPermission(caller.userData, 'all')) {
+      throw new HttpError(403, ERROR_CODES.FORBIDDEN, 'Only administrators can refresh other users');
+    }
+
+    const synced = await syncUserAccess(firebase, all ? null : [uid || caller.uid]);
+    return json(200, { synced: Object.keys(synced).length, ...(all ? {} : { access: synced[uid || caller.uid] }) });
+  } catch (error) {
+    if (!(error instanceof HttpError)) console.error('syncAccess error', error);
+    return toErrorResponse(error);
+  }
+};
@@ -0,0 +1,94 @@
+// Netlify Function: soft delete, restore and purge (see ../lib/trash.js)
+// Endpoint: /.netlify/functions/trash
+// Requires env vars: FIREBASE_SERVICE_ACCOUNT
+// Optional env vars: TRASH_RETENTION_DAYS (days before deleted items are purged, default 30)
+// Optional dependencies (auto-bundled by Netlify): firebase-admin
+//
+// Request:  POST { action: 'delete', type: 'tender', tenderId }
+//           POST { action: 'delete', type: 'file' | 'folder', tenderId, itemId }
+//           POST { action: 'restore' | 'purge', trashId }
+//           with `Authorization: Bearer <Firebase ID token>`
+// Response: 200 { entry } for delete and restore, 200 { purged } for purge, or the error contract in ../lib/http.js
+//
+// Deleting a tender needs edit_all, files and folders need upload_files or edit_all and a place on
+// the tender team - the same checks as the database rules. Restoring and purging are done from the
+// administrators' Trash view and need 'all'.
+
+const { getFirebaseAdmin } = require('../lib/firebaseAdmin');
+const { authenticate } = require('../lib/auth');
+const { hasPermission, hasAnyPermission, isUserInTenderTeam } = require('../lib/permissions');
+const { trashTender, trashFile, trashFolder, restoreEntry, purgeById } = require('../lib/trash');
+const { ERROR_CODES, HttpError, json, errorResponse, toErrorResponse } = require('../lib/http');
+
+const FILE_PERMISSIONS = ['upload_files', 'edit_all'];
+
+const deleteItem = async (db, caller, { type, tenderId, itemId }) => {
+  if (!tenderId || typeof tenderId !== 'string') {
+    throw new HttpError(400, ERROR_CODES.BAD_REQUEST, 'tenderId required');
+  }
+  if (type === 'tender') {
+    if (!hasPermission(caller.userData, 'edit_all')) {
+      throw new HttpError(403, ERROR_CODES.FORBIDDEN, 'You do not have permission to delete tenders');
+    }
+    return trashTender(db, caller, tenderId);
+  }
+  if (type !== 'file' && type !== 'folder') {
+    throw new HttpError(400, ERROR_CODES.BAD_REQUEST, 'type must be tender, file or folder');
+  }
+  if (!itemId) {
+    throw new HttpError(400, ERROR_CODES.BAD_REQUEST, 'itemId required');
+  }
+
+  const tender = (await db.ref(`tenders/${tenderId}`).once('value')).val();
+  if (!tender) {
+    throw new HttpError(404, ERROR_CODES.NOT_FOUND, `Tender ${tenderId} not found`);
+  }
+  if (!isUserInTenderTeam(tender, caller.userData) || !hasAnyPermission(caller.userData, FILE_PERMISSIONS)) {
+    throw new HttpError(403, ERROR_CODES.FORBIDDEN, `You cannot delete ${type}s on ${tenderId}`);
+  }
+  return type === 'file'
+    ? trashFile(db, caller, tenderId, itemId)
+    : trashFolder(db, caller, tenderId, itemId);
+};
+
+exports.handler = async (event) => {
+  try {
+    if (event.httpMethod !== 'POST') {
+      return errorResponse(405, ERROR_CODES.METHOD_NOT_ALLOWED, 'Method Not Allowed');
+    }
+
+    const firebase = await getFirebaseAdmin();
+    const caller = await authenticate(event, firebase);
+
+    let body;
+    try {
+      body = JSON.parse(event.body || '{}');
+    } catch {
+      throw new HttpError(400, ERROR_CODES.BAD_REQUEST, 'Request body must be JSON');
+    }
+
+    if (body.action === 'delete') {
+      const entry = await deleteItem(firebase.db, caller, body);
+      return json(200, { entry: { id: entry.id, type: entry.type, label: entry.label, purgeAfter: entry.purgeAfter } });
+    }
+    if (body.action !== 'restore' && body.action !== 'purge') {
+      throw new HttpError(400, ERROR_CODES.BAD_REQUEST, 'action must be delete, restore or purge');
+    }
+    if (!hasPermission(caller.userData, 'all')) {
+      throw new HttpError(403, ERROR_CODES.FORBIDDEN, 'Only administrators can restore or purge deleted items');
+    }
+    if (!body.trashId || typeof body.trashId !== 'string') {
+      throw new HttpError(400, ERROR_CODES.BAD_REQUEST, 'trashId required');
+    }
+
+    if (body.action === 'restore') {
+      const entry = await restoreEntry(firebase.db, body.trashId);
+      return json(200, { entry: { id: entry.id, type: entry.type, label: entry.label, tenderId: entry.tenderId } });
+    }
+    const purged = await purgeById(firebase.db, firebase.bucket, body.trashId);
+    return json(200, { purged: purged.length });
+  } catch (error) {
+    if (!(error instanceof HttpError)) console.error('trash error', error);
+    return toErrorResponse(error);
+  }
+};
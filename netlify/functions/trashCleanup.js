@@ -0,0 +1,22 @@
+// Netlify Scheduled Function: purges trash entries past their retention (see ../lib/trash.js)
+// Schedule: daily, set in netlify.toml ([functions."trashCleanup"])
+// Requires env vars: FIREBASE_SERVICE_ACCOUNT
+// Optional env vars: TRASH_RETENTION_DAYS (applies to items deleted after it changes, default 30)
+// Optional dependencies (auto-bundled by Netlify): firebase-admin
+//
+// Storage objects of deleted tenders and files are only removed here or by an administrator's purge.
+
+const { getFirebaseAdmin } = require('../lib/firebaseAdmin');
+const { purgeExpired } = require('../lib/trash');
+
+exports.handler = async () => {
+  try {
+    const firebase = await getFirebaseAdmin();
+    const purged = await purgeExpired(firebase.db, firebase.bucket);
+    console.log(`trashCleanup: purged ${purged} entr${purged === 1 ? 'y' : 'ies'}`);
+    return { statusCode: 200 };
+  } catch (error) {
+    console.error('trashCleanup error', error);
+    return { statusCode: 500 };
+  }
+};
@@ -0,0 +1,25 @@
+// Netlify Scheduled Function: queues tender status changes and sends webhook deliveries (see ../lib/webhooks.js)
+// Schedule: every minute, set in netlify.toml ([functions."webhookDispatch"])
+// Requires env vars: FIREBASE_SERVICE_ACCOUNT
+// Optional dependencies (auto-bundled by Netlify): firebase-admin
+//
+// Tender creation and finished spec reviews are queued where they happen; this run adds the status
+// changes made in the dashboard, then sends what is due and retries failures with backoff.
+
+const { getFirebaseAdmin } = require('../lib/firebaseAdmin');
+const { queueStatusChanges, processWebhookDeliveries } = require('../lib/webhooks');
+
+exports.handler = async () => {
+  try {
+    const firebase = await getFirebaseAdmin();
+    const changes = await queueStatusChanges(firebase.db);
+    const { delivered, retrying, failed, pruned } = await processWebhookDeliveries(firebase.db);
+    if (changes || delivered || retrying || failed || pruned) {
+      console.log(`webhookDispatch: ${changes} status change(s), ${delivered} delivered, ${retrying} to retry, ${failed} failed, ${pruned} pruned`);
+    }
+    return { statusCode: 200 };
+  } catch (error) {
+    console.error('webhookDispatch error', error);
+    return { statusCode: 500 };
+  }
+};
@@ -0,0 +1,46 @@
+// Effective permissions for the security rules (see rules/build.js).
+// Rules cannot search the customPermissions arrays, so every user's resolved permissions are written
+// to userAccess/{uid} = { role, active, name, permissions: { [permission]: boolean }, updatedAt } and
+// mirrored into the ID token claims { role, perms: [permission] } for Storage. Only the server writes
+// either, from users/{uid}, whenever a user signs in or an administrator changes them.
+
+const { PERMISSIONS, hasPermission, getUserDisplayNames } = require('./permissions');
+
+// fullName is chosen by the user, so it only counts as a team name while nobody else goes by it
+const buildUserAccess = (uid, userData, users = {}) => {
+  const active = Boolean(userData) && userData.isActive !== false;
+  const fullName = userData?.fullName || null;
+  const taken = fullName && Object.entries(users)
+    .some(([otherUid, other]) => otherUid !== uid && other && getUserDisplayNames(other).includes(fullName));
+  return {
+    role: userData?.role || null,
+    active,
+    name: taken ? null : fullName,
+    permissions: Object.fromEntries(PERMISSIONS.map(p => [p, active && hasPermission(userData, p)])),
+  };
+};
+
+const accessClaims = (access) => ({
+  role: access.role,
+  perms: PERMISSIONS.filter(p => access.permissions[p]),
+});
+
+// Recomputes userAccess for the given uids (all users when omitted). Returns { [uid]: access }.
+const syncUserAccess = async (firebase, uids = null) => {
+  const users = (await firebase.db.ref('users').once('value')).val() || {};
+  const result = {};
+  for (const uid of uids || Object.keys(users)) {
+    const access = buildUserAccess(uid, users[uid], users);
+    await firebase.db.ref(`userAccess/${uid}`).set({ ...access, updatedAt: Date.now() });
+    try {
+      await firebase.auth.setCustomUserClaims(uid, accessClaims(access));
+    } catch (error) {
+      // Profiles without a sign-in account (imported or deleted users) only get userAccess
+      if (error.code !== 'auth/user-not-found') throw error;
+    }
+    result[uid] = access;
+  }
+  return result;
+};
+
+module.exports = { buildUserAccess, accessClaims, syncUserAccess };
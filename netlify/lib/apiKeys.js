@@ -0,0 +1,86 @@
+// API keys for the REST API (../functions/api.js). Administrators issue them from the Integrations
+// view through the integrations function; each key has scopes that limit what it can do.
+//
+//   apiKeys/{id} = { id, name, scopes: [], hash, createdBy, createdAt, lastUsedAt, revokedAt }
+//
+// The key handed out is `vfk.<id>.<secret>` and only a SHA-256 hash of the secret is stored, so a
+// lost key cannot be shown again - revoke it and issue a new one.
+
+const crypto = require('crypto');
+const { ERROR_CODES, HttpError } = require('./http');
+
+const API_SCOPES = {
+  'tenders:read': 'List and read tenders, their teams, status and values',
+  'tenders:write': 'Create tenders',
+  'spec_reviews:read': 'Read spec review runs and their requirements',
+};
+const KEY_PATTERN = /^vfk\.([\w-]+)\.([\w-]+)$/;
+const MAX_NAME_LENGTH = 80;
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+// Returns { key, token }; the token is shown to the administrator once and never stored
+const createApiKey = async (db, caller, { name, scopes }) => {
+  const label = String(name || '').trim().slice(0, MAX_NAME_LENGTH);
+  if (!label) {
+    throw new HttpError(400, ERROR_CODES.BAD_REQUEST, 'Give the key a name, e.g. the system that will use it');
+  }
+  const chosen = [...new Set(Array.isArray(scopes) ? scopes : [])];
+  const unknown = chosen.filter(scope => !API_SCOPES[scope]);
+  if (!chosen.length || unknown.length) {
+    throw new HttpError(400, ERROR_CODES.BAD_REQUEST, `scopes must be some of ${Object.keys(API_SCOPES).join(', ')}`);
+  }
+
+  const id = db.ref('apiKeys').push().key;
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const key = {
+    id,
+    name: label,
+    scopes: chosen,
+    hash: hashSecret(secret),
+    createdBy: caller.userData?.fullName || caller.email || null,
+    createdAt: new Date().toISOString(),
+  };
+  await db.ref(`apiKeys/${id}`).set(key);
+  return { key, token: `vfk.${id}.${secret}` };
+};
+
+const revokeApiKey = async (db, keyId) => {
+  const ref = db.ref(`apiKeys/${keyId}`);
+  if (!(await ref.once('value')).exists()) {
+    throw new HttpError(404, ERROR_CODES.NOT_FOUND, 'API key not found');
+  }
+  await ref.update({ revokedAt: new Date().toISOString() });
+};
+
+// Accepts `Authorization: Bearer vfk...` or `X-API-Key: vfk...`. Returns the key record.
+const authenticateApiKey = async (event, db) => {
+  const headers = event.headers || {};
+  const bearer = (headers.authorization || headers.Authorization || '').match(/^Bearer\s+(.+)$/i);
+  const token = (bearer ? bearer[1] : headers['x-api-key'] || headers['X-API-Key'] || '').trim();
+  const match = KEY_PATTERN.exec(token);
+  if (!match) {
+    throw new HttpError(401, ERROR_CODES.UNAUTHENTICATED, 'Send an API key as `Authorization: Bearer vfk...`');
+  }
+
+  const key = (await db.ref(`apiKeys/${match[1]}`).once('value')).val();
+  const expected = Buffer.from(key?.hash || '', 'hex');
+  const actual = Buffer.from(hashSecret(match[2]), 'hex');
+  if (!key || expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw new HttpError(401, ERROR_CODES.UNAUTHENTICATED, 'API key not recognised');
+  }
+  if (key.revokedAt) {
+    throw new HttpError(401, ERROR_CODES.UNAUTHENTICATED, 'This API key has been revoked');
+  }
+
+  await db.ref(`apiKeys/${key.id}/lastUsedAt`).set(new Date().toISOString());
+  return key;
+};
+
+const requireScope = (key, scope) => {
+  if (!(key.scopes || []).includes(scope)) {
+    throw new HttpError(403, ERROR_CODES.FORBIDDEN, `This API key does not have the ${scope} scope`);
+  }
+};
+
+module.exports = { API_SCOPES, createApiKey, revokeApiKey, authenticateApiKey, requireScope };
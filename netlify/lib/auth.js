@@ -0,0 +1,41 @@
+// Firebase ID token verification for dashboard-facing functions.
+// The browser sends `Authorization: Bearer <idToken>` from auth.currentUser.getIdToken().
+
+const { ERROR_CODES, HttpError } = require('./http');
+const { hasAnyPermission } = require('./permissions');
+
+const getBearerToken = (event) => {
+  const header = event.headers?.authorization || event.headers?.Authorization || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+};
+
+// Verifies the caller and loads users/{uid}. Returns { uid, email, userData }.
+// Pass `permissions` to require at least one of them (hasPermission semantics).
+const authenticate = async (event, firebase, { permissions = [] } = {}) => {
+  const token = getBearerToken(event);
+  if (!token) {
+    throw new HttpError(401, ERROR_CODES.UNAUTHENTICATED, 'Sign in again - no Firebase ID token was sent');
+  }
+
+  let decoded;
+  try {
+    decoded = await firebase.auth.verifyIdToken(token);
+  } catch (e) {
+    throw new HttpError(401, ERROR_CODES.UNAUTHENTICATED, 'Your session has expired - please sign in again', { details: e.code || e.message });
+  }
+
+  const snapshot = await firebase.db.ref(`users/${decoded.uid}`).once('value');
+  const userData = snapshot.val();
+  if (!userData || userData.isActive === false) {
+    throw new HttpError(403, ERROR_CODES.FORBIDDEN, 'Your user profile is missing or deactivated');
+  }
+
+  if (permissions.length > 0 && !hasAnyPermission(userData, permissions)) {
+    throw new HttpError(403, ERROR_CODES.FORBIDDEN, `Your role (${userData.role || 'none'}) is not allowed to do this`);
+  }
+
+  return { uid: decoded.uid, email: decoded.email || userData.email, userData };
+};
+
+module.exports = { authenticate, getBearerToken };
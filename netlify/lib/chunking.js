@@ -0,0 +1,110 @@
+// Section-aware chunking of extracted spec text for the map step of the spec review.
+// Headings ("4.2 Design Conditions", "SECTION 5", "APPENDIX A", all-caps titles) start new
+// sections; sections are packed into chunks up to maxChars and only split mid-section when
+// a single section is larger than a chunk.
+
+const DEFAULT_CHUNK_CHARS = parseInt(process.env.SPEC_REVIEW_CHUNK_CHARS || '24000', 10);
+
+const NUMBERED_HEADING = /^\s*(\d{1,2}(?:\.\d{1,3}){0,4})\.?\s+[A-Z][^.]{2,100}$/;
+const KEYWORD_HEADING = /^\s*(SECTION|PART|APPENDIX|ANNEX|SCHEDULE|ATTACHMENT)\s+[A-Z0-9]+\b.{0,100}$/i;
+
+const isHeading = (line) => {
+  const trimmed = line.trim();
+  if (trimmed.length < 4 || trimmed.length > 110) return false;
+  if (NUMBERED_HEADING.test(trimmed) || KEYWORD_HEADING.test(trimmed)) return true;
+  // ALL CAPS titles such as "MATERIALS OF CONSTRUCTION"
+  const letters = trimmed.replace(/[^A-Za-z]/g, '');
+  return letters.length >= 6 && letters === letters.toUpperCase() && !/[.:;]$/.test(trimmed);
+};
+
+// Splits pages into [{ heading, lines: [{ text, page }] }]
+const splitIntoSections = (pages) => {
+  const sections = [];
+  let current = { heading: null, lines: [] };
+  pages.forEach((pageText, i) => {
+    for (const line of (pageText || '').split('\n')) {
+      if (isHeading(line) && current.lines.some(l => l.text.trim())) {
+        sections.push(current);
+        current = { heading: line.trim(), lines: [] };
+      } else if (isHeading(line) && !current.heading) {
+        current.heading = line.trim();
+      }
+      current.lines.push({ text: line, page: i + 1 });
+    }
+  });
+  if (current.lines.length) sections.push(current);
+  return sections;
+};
+
+const sectionLength = (lines) => lines.reduce((sum, l) => sum + l.text.length + 1, 0);
+
+// Breaks an oversized section at blank lines (or any line as a last resort)
+const splitSection = (section, maxChars) => {
+  const parts = [];
+  let lines = [];
+  let size = 0;
+  section.lines.forEach((line, i) => {
+    lines.push(line);
+    size += line.text.length + 1;
+    const next = section.lines[i + 1];
+    const atParagraphEnd = !line.text.trim() || !next;
+    if ((size >= maxChars * 0.8 && atParagraphEnd) || size >= maxChars) {
+      parts.push({ heading: section.heading, lines });
+      lines = [];
+      size = 0;
+    }
+  });
+  if (lines.length) parts.push({ heading: section.heading, lines });
+  return parts.map((p, i) => (i === 0 ? p : { ...p, heading: p.heading ? `${p.heading} (cont.)` : null }));
+};
+
+// Renders lines with [Page N] markers so the model can cite pages
+const renderLines = (lines, multiPage) => {
+  let page = null;
+  const out = [];
+  for (const line of lines) {
+    if (multiPage && line.page !== page) {
+      page = line.page;
+      out.push(`[Page ${page}]`);
+    }
+    out.push(line.text);
+  }
+  return out.join('\n');
+};
+
+// Returns [{ fileName, index, text, pageStart, pageEnd, headings }] for one extracted document
+const chunkDocument = (doc, { maxChars = DEFAULT_CHUNK_CHARS } = {}) => {
+  const multiPage = doc.pages.length > 1;
+  const sections = splitIntoSections(doc.pages)
+    .flatMap(s => (sectionLength(s.lines) > maxChars ? splitSection(s, maxChars) : [s]));
+
+  const chunks = [];
+  let pending = [];
+  let pendingSize = 0;
+  const flush = () => {
+    const lines = pending.flatMap(s => s.lines);
+    if (lines.some(l => l.text.trim())) {
+      chunks.push({
+        fileName: doc.name,
+        index: chunks.length,
+        text: renderLines(lines, multiPage),
+        pageStart: lines[0].page,
+        pageEnd: lines[lines.length - 1].page,
+        headings: pending.map(s => s.heading).filter(Boolean),
+      });
+    }
+    pending = [];
+    pendingSize = 0;
+  };
+
+  for (const section of sections) {
+    const size = sectionLength(section.lines);
+    if (pendingSize + size > maxChars && pending.length) flush();
+    pending.push(section);
+    pendingSize += size;
+  }
+  flush();
+  return chunks;
+};
+
+module.exports = { chunkDocument, splitIntoSections, isHeading, DEFAULT_CHUNK_CHARS };
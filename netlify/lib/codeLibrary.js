@@ -0,0 +1,345 @@
+// Code library: the AS/ASME/EN/API documents uploaded from the Code Library Admin tab to
+// codes/{region}/ are parsed into clause-level indexes ("UG-27", "AS1210 3.7") so the spec
+// review can retrieve relevant clauses and check the compliance_ref the model produced.
+//
+//   storage  codeIndex/{region}/{fileName}.json            { code, name, path, clauses: [...] }
+//   rtdb     codeLibrary/{region}/documents/{key}          { name, path, code, generation, pages, clauses, indexedAt, error }
+//
+// Indexing runs in codeIndex-background only. An index is rebuilt when the storage generation of the
+// code PDF changes; until then spec reviews use the documents that are indexed and list the rest.
+
+const { extractDocumentPages } = require('./extractText');
+
+const REGIONS = ['australian', 'american', 'european'];
+const CLAUSE_TEXT_CHARS = 3000;
+const SNIPPET_CHARS = 280;
+const CACHE_TTL_MS = 10 * 60 * 1000;
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'shall', 'must', 'should', 'will', 'are', 'all', 'any', 'each', 'this',
+  'that', 'from', 'into', 'per', 'been', 'have', 'has', 'not', 'than', 'then', 'such', 'which', 'where',
+  'when', 'its', 'their', 'these', 'those', 'may', 'also', 'other', 'see', 'used', 'given', 'following',
+]);
+
+// Code designations recognised in file names and in compliance_ref strings, most specific first
+const CODE_DESIGNATIONS = [
+  [/ASME[\s_-]*B[\s_-]*31\.?3/i, () => 'ASME B31.3'],
+  [/(?:ASME[\s_-]*)?(?:SEC(?:TION)?[\s_.-]*)?VIII[\s_.-]*(?:DIV(?:ISION)?[\s_.-]*)?2(?!\d)/i, () => 'ASME VIII-2'],
+  [/ASME[\s_-]*(?:SEC(?:TION)?[\s_.-]*)?VIII/i, () => 'ASME VIII-1'],
+  [/(?<![A-Za-z])API[\s_-]*(\d{3,4})/i, (m) => `API ${m[1]}`],
+  [/(?<![A-Za-z])AS[\s_/-]*(?:NZS[\s_-]*)?(\d{4})(?!\d)/i, (m) => `AS${m[1]}`],
+  [/(?<![A-Za-z])EN[\s_-]*(\d{3,5})(?!\d)/i, (m) => `EN ${m[1]}`],
+  [/(?<![A-Za-z])PED(?![A-Za-z])/i, () => 'PED'],
+];
+
+const detectCode = (text) => {
+  for (const [pattern, name] of CODE_DESIGNATIONS) {
+    const m = (text || '').match(pattern);
+    if (m) return name(m);
+  }
+  return null;
+};
+
+const codeFromFileName = (fileName) =>
+  detectCode(fileName) || fileName.replace(/\.[^.]+$/, '').replace(/[_]+/g, ' ').trim();
+
+const isAsmeStyle = (code) => /^ASME VIII/.test(code);
+
+// "UG-27 THICKNESS OF SHELLS..." / "3.7.2 Cylindrical shells" / "APPENDIX B ..." / "3 DESIGN"
+const ASME_HEADING = /^(U[A-Z]{0,3}-\d{1,3}[A-Z]?)(?:\s+(.{2,140}))?$/;
+const NUMBERED_HEADING = /^(\d{1,3}(?:\.\d{1,3}){1,4})\.?\s+([A-Z(].{2,140})$/;
+const TOP_HEADING = /^(\d{1,2})\.?\s+([A-Z][A-Z ,&/-]{3,80})$/;
+const ANNEX_HEADING = /^((?:MANDATORY\s+|NONMANDATORY\s+)?(?:APPENDIX|ANNEX)\s+[A-Z0-9]{1,3})\b\s*[-–:]?\s*(.{0,140})$/i;
+const TOC_LINE = /(\.{4,}|…{2,}|\s{6,})\s*\d+\s*$/;
+
+const clauseHeading = (line, code) => {
+  const trimmed = line.trim();
+  if (trimmed.length < 2 || trimmed.length > 160 || TOC_LINE.test(trimmed)) return null;
+  const patterns = isAsmeStyle(code) ? [ASME_HEADING, ANNEX_HEADING] : [NUMBERED_HEADING, TOP_HEADING, ANNEX_HEADING];
+  for (const pattern of patterns) {
+    const m = trimmed.match(pattern);
+    if (!m) continue;
+    const title = (m[2] || '').trim();
+    // Table rows and dimensions ("1.5 mm min") are not headings
+    if (title && /^(mm|m|kpa|mpa|bar|psi|in|°c|%)\b/i.test(title)) return null;
+    if ((title.match(/\d/g) || []).length > 8) return null;
+    return { clause: m[1].replace(/\s+/g, ' ').toUpperCase(), title: title.replace(/[.:]$/, '') };
+  }
+  return null;
+};
+
+// Splits a code document into [{ code, clause, title, text, page }]. Repeated clause numbers
+// (table of contents, running headers) keep the occurrence with the most text.
+const parseCodeClauses = (pages, code) => {
+  const byClause = new Map();
+  let current = null;
+  const close = () => {
+    if (!current) return;
+    const text = current.lines.join('\n').replace(/\n{3,}/g, '\n\n').trim().slice(0, CLAUSE_TEXT_CHARS);
+    const existing = byClause.get(current.clause);
+    if (!existing || text.length > existing.text.length) {
+      byClause.set(current.clause, { code, clause: current.clause, title: current.title, text, page: current.page });
+    }
+    current = null;
+  };
+
+  pages.forEach((pageText, i) => {
+    for (const line of (pageText || '').split('\n')) {
+      const heading = clauseHeading(line, code);
+      if (heading) {
+        close();
+        current = { ...heading, page: i + 1, lines: [] };
+      } else if (current) {
+        current.lines.push(line);
+      }
+    }
+  });
+  close();
+  return [...byClause.values()];
+};
+
+const tokenize = (text) => (text || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9.]+/g, ' ')
+  .split(' ')
+  .map(w => w.replace(/^\.+|\.+$/g, ''))
+  .filter(w => w.length > 2 && !STOP_WORDS.has(w));
+
+// BM25 over clause title + text; titles count twice
+const buildSearchIndex = (clauses) => {
+  const df = new Map();
+  const docs = clauses.map(c => {
+    const tokens = [...tokenize(c.title), ...tokenize(c.title), ...tokenize(c.text)];
+    const tf = new Map();
+    tokens.forEach(t => tf.set(t, (tf.get(t) || 0) + 1));
+    tf.forEach((_, t) => df.set(t, (df.get(t) || 0) + 1));
+    return { tf, length: tokens.length };
+  });
+  const avgLength = docs.reduce((n, d) => n + d.length, 0) / (docs.length || 1);
+  const idf = (t) => Math.log(1 + (docs.length - (df.get(t) || 0) + 0.5) / ((df.get(t) || 0) + 0.5));
+  return { docs, avgLength, idf };
+};
+
+const bm25 = (search, docIndex, terms, k1 = 1.2, b = 0.75) => {
+  const d = search.docs[docIndex];
+  let score = 0;
+  let shared = 0;
+  for (const t of terms) {
+    const f = d.tf.get(t);
+    if (!f) continue;
+    shared++;
+    score += search.idf(t) * ((f * (k1 + 1)) / (f + k1 * (1 - b + (b * d.length) / search.avgLength)));
+  }
+  return { score, shared };
+};
+
+// Sentence of the clause that best matches the query, falling back to the opening text
+const bestSnippet = (clause, query) => {
+  const terms = new Set(tokenize(query));
+  const sentences = clause.text.replace(/\s+/g, ' ').split(/(?<=[.;:])\s+/).filter(s => s.length > 20);
+  let best = null;
+  let bestScore = 0;
+  for (const s of sentences) {
+    const score = tokenize(s).filter(t => terms.has(t)).length;
+    if (score > bestScore) {
+      best = s;
+      bestScore = score;
+    }
+  }
+  const text = best || clause.text.replace(/\s+/g, ' ');
+  return text.length > SNIPPET_CHARS ? `${text.slice(0, SNIPPET_CHARS - 1)}…` : text;
+};
+
+const clauseLink = (clause, query) => ({
+  code: clause.code,
+  clause: clause.clause,
+  title: clause.title || '',
+  page: clause.page || null,
+  docName: clause.docName,
+  docPath: clause.docPath,
+  snippet: bestSnippet(clause, query),
+});
+
+// Returns the k clauses that best match the query text
+const retrieveClauses = (library, query, k = 3, { minShared = 2 } = {}) => {
+  if (!library || !library.clauses.length) return [];
+  const terms = [...new Set(tokenize(query))];
+  return library.clauses
+    .map((clause, i) => ({ clause, ...bm25(library.search, i, terms) }))
+    .filter(r => r.score > 0 && r.shared >= Math.min(minShared, terms.length))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, k)
+    .map(r => ({ ...clauseLink(r.clause, query), score: Math.round(r.score * 100) / 100 }));
+};
+
+// "ASME VIII-1 UG-27(c)(1); UW-11" -> [{ raw, code, clause }]. Later segments inherit the code.
+const CLAUSE_IN_REF = /(?<![A-Za-z\d.])(U[A-Z]{0,3}-\d{1,3}[A-Z]?|\d{1,3}(?:\.\d{1,3}){1,4}|(?:APPENDIX|ANNEX)\s+[A-Z0-9]{1,3})(?![\d])/gi;
+
+const parseCodeReferences = (text) => {
+  const refs = [];
+  let code = null;
+  for (const segment of (text || '').split(/[;,\n]|\band\b/)) {
+    code = detectCode(segment) || code;
+    // Drop the designation itself so "B31.3" or "VIII-1" is not read as a clause
+    const rest = segment.replace(/ASME[\s_-]*B[\s_-]*31\.?3|VIII[\s_.-]*(?:DIV(?:ISION)?[\s_.-]*)?[12]?|\b(?:AS|EN|API)[\s_/-]*(?:NZS[\s_-]*)?\d{3,5}(?:[-:]\d{1,4})*/gi, ' ');
+    for (const m of rest.matchAll(CLAUSE_IN_REF)) {
+      refs.push({ raw: segment.trim(), code, clause: m[1].replace(/\s+/g, ' ').toUpperCase() });
+    }
+  }
+  return refs;
+};
+
+// Sub-clauses fall back to their parent: "3.7.2.1" -> "3.7.2" -> "3.7"
+const parentClause = (clause) => (/\.\d+$/.test(clause) ? clause.replace(/\.\d+$/, '') : null);
+
+const findClause = (library, ref) => {
+  const candidates = ref.code ? library.clauses.filter(c => c.code === ref.code) : library.clauses;
+  for (let clause = ref.clause; clause; clause = parentClause(clause)) {
+    const hit = candidates.find(c => c.clause === clause);
+    if (hit) return hit;
+  }
+  return null;
+};
+
+// Checks one compliance_ref string against the library
+const verifyReferences = (library, text, query = '') => parseCodeReferences(text).map(ref => {
+  const base = { ref: ref.raw, code: ref.code, clause: ref.clause };
+  if (ref.code && !library.codes.includes(ref.code)) {
+    return { ...base, verified: false, reason: `${ref.code} is not in the code library` };
+  }
+  const hit = findClause(library, ref);
+  if (!hit) return { ...base, verified: false, reason: `Clause ${ref.clause} not found in the code library` };
+  return { ...base, verified: true, matchedClause: hit.clause, ...clauseLink(hit, query), code: hit.code, clause: hit.clause };
+});
+
+// Adds codeRefs / complianceStatus / relatedClauses to normalised result items.
+// complianceStatus: verified (every cited clause exists), unverified (at least one does not),
+// suggested (nothing cited, library has a likely clause), none
+const attachCodeReferences = (items, library) => items.map(item => {
+  const query = [item.requirement, item.details].filter(Boolean).join(' ');
+  const relatedClauses = library ? retrieveClauses(library, query, 3) : [];
+  const cited = (item.compliance_ref || '').trim();
+  if (!cited) {
+    return { ...item, codeRefs: [], relatedClauses, complianceStatus: relatedClauses.length ? 'suggested' : 'none' };
+  }
+  const codeRefs = library
+    ? verifyReferences(library, cited, query)
+    : [{ ref: cited, verified: false, reason: 'No code library loaded for this review' }];
+  if (!codeRefs.length) codeRefs.push({ ref: cited, verified: false, reason: 'No clause number in reference' });
+  return {
+    ...item,
+    codeRefs,
+    relatedClauses,
+    complianceStatus: codeRefs.every(r => r.verified) ? 'verified' : 'unverified',
+  };
+});
+
+const documentKey = (fileName) => fileName.replace(/[.#$[\]/]/g, '_');
+
+// (Re)builds the index for one code document and records it under codeLibrary/{region}/documents
+const indexCodeDocument = async (firebase, region, file, diagnostics) => {
+  const name = file.name.split('/').pop();
+  const code = codeFromFileName(name);
+  const summaryRef = firebase.db.ref(`codeLibrary/${region}/documents/${documentKey(name)}`);
+  const [buffer] = await file.download();
+  const { pages, method } = await extractDocumentPages(
+    { name, buffer, contentType: file.metadata?.contentType || 'application/pdf' },
+    diagnostics,
+  );
+  const clauses = parseCodeClauses(pages, code);
+  await firebase.bucket.file(`codeIndex/${region}/${name}.json`).save(
+    JSON.stringify({ code, name, path: file.name, clauses }),
+    { contentType: 'application/json', resumable: false },
+  );
+  const summary = {
+    name,
+    path: file.name,
+    code,
+    generation: String(file.metadata?.generation || ''),
+    pages: pages.length,
+    method,
+    clauses: clauses.length,
+    indexedAt: new Date().toISOString(),
+    error: null,
+  };
+  await summaryRef.set(summary);
+  diagnostics.push(`CODE INDEX: ${name} -> ${code}, ${clauses.length} clauses from ${pages.length} pages`);
+  return { summary, clauses };
+};
+
+const cache = new Map();
+
+// Loads every indexed document of a region. With index (codeIndex-background) new or changed PDFs
+// are indexed first, and rebuild re-indexes all of them; without it they are reported and left out.
+// Returns { region, codes, documents, clauses, search } or an empty library when nothing is uploaded.
+const loadCodeLibrary = async (firebase, region, diagnostics = [], { index = false, rebuild = false } = {}) => {
+  if (!REGIONS.includes(region)) {
+    diagnostics.push(`CODE LIBRARY: no region selected - compliance references cannot be verified`);
+    return null;
+  }
+  const cached = cache.get(region);
+  if (!index && cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) return cached.library;
+
+  const [files] = await firebase.bucket.getFiles({ prefix: `codes/${region}/` });
+  const pdfs = files.filter(f => !f.name.endsWith('/'));
+  const summaries = (await firebase.db.ref(`codeLibrary/${region}/documents`).once('value')).val() || {};
+
+  const documents = [];
+  const clauses = [];
+  const notIndexed = [];
+  for (const file of pdfs) {
+    const name = file.name.split('/').pop();
+    const known = summaries[documentKey(name)];
+    const current = known && !known.error && known.generation === String(file.metadata?.generation || '');
+    if (!current && !index) {
+      notIndexed.push(name);
+      continue;
+    }
+    try {
+      let entry;
+      if (current && !rebuild) {
+        const [raw] = await firebase.bucket.file(`codeIndex/${region}/${name}.json`).download();
+        entry = { summary: known, clauses: JSON.parse(raw.toString('utf8')).clauses || [] };
+      } else {
+        entry = await indexCodeDocument(firebase, region, file, diagnostics);
+      }
+      documents.push(entry.summary);
+      entry.clauses.forEach(c => clauses.push({ ...c, docName: name, docPath: file.name }));
+    } catch (err) {
+      diagnostics.push(`CODE INDEX ERROR: ${name} - ${err.message}`);
+      await firebase.db.ref(`codeLibrary/${region}/documents/${documentKey(name)}`).update({
+        name, path: file.name, code: codeFromFileName(name), error: err.message, indexedAt: new Date().toISOString(),
+      });
+    }
+  }
+
+  const library = {
+    region,
+    codes: [...new Set(documents.map(d => d.code))],
+    documents,
+    clauses,
+    search: buildSearchIndex(clauses),
+  };
+  diagnostics.push(
+    pdfs.length
+      ? `CODE LIBRARY: ${region} - ${documents.length} documents (${library.codes.join(', ')}), ${clauses.length} clauses`
+      : `CODE LIBRARY: no documents in codes/${region}/ - compliance references cannot be verified`
+  );
+  if (notIndexed.length) {
+    diagnostics.push(`CODE LIBRARY: not indexed yet, so not used - ${notIndexed.join(', ')} (index them from the Code Library tab)`);
+  }
+  cache.set(region, { loadedAt: Date.now(), library });
+  return library;
+};
+
+module.exports = {
+  REGIONS,
+  detectCode,
+  codeFromFileName,
+  parseCodeClauses,
+  parseCodeReferences,
+  retrieveClauses,
+  verifyReferences,
+  attachCodeReferences,
+  loadCodeLibrary,
+};
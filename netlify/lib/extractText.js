@@ -0,0 +1,78 @@
+// Text extraction for spec files (PDF/DOCX/TXT/MD/CSV/JSON/Code), with per-page OCR for image pages.
+// Text is returned per page so chunking can keep page ranges and coverage can be reported.
+// OCR providers and their env vars are configured in ./ocr
+
+const { ocrImagePages } = require('./ocr');
+
+const MIN_TEXT_CHARS = 50;
+
+const TEXT_FILE_PATTERN = /\.(txt|md|csv|json|yaml|yml|xml|ini|cfg|py|js|ts|java|cs|cpp|c|go|rb|rs)$/i;
+
+// pdf-parse joins pages into one string, so collect them through its pagerender hook
+const parsePdfPages = async (buffer) => {
+  // Import the library file directly - the package index runs a self-test when loaded via import()
+  const pdfParse = (await import('pdf-parse/lib/pdf-parse.js')).default;
+  const pages = [];
+  const out = await pdfParse(buffer, {
+    pagerender: async (pageData) => {
+      const content = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+      let lastY;
+      let text = '';
+      for (const item of content.items) {
+        text += (lastY === undefined || lastY === item.transform[5]) ? item.str : `\n${item.str}`;
+        lastY = item.transform[5];
+      }
+      pages[pageData.pageIndex] = text;
+      return text;
+    },
+  });
+  const pageCount = out.numpages || pages.length;
+  return Array.from({ length: pageCount }, (_, i) => pages[i] || '');
+};
+
+// Pages of a downloaded file { name, buffer, contentType } without OCR: { pages: string[], method }.
+// PDFs come back as method 'pdf-parse' with their image pages still empty (see ./pageText.js).
+const extractTextLayer = async (f, diagnostics) => {
+  const { buffer } = f;
+  const contentType = f.contentType || '';
+  const lowerName = f.name.toLowerCase();
+
+  if (contentType.includes('pdf') || lowerName.endsWith('.pdf')) {
+    let pages = [];
+    try {
+      pages = await parsePdfPages(buffer);
+    } catch (e) {
+      diagnostics.push(`PDF-PARSE: failed - ${e.message}`);
+    }
+    return { pages, method: 'pdf-parse' };
+  }
+
+  if (contentType.includes('officedocument.wordprocessingml') || lowerName.endsWith('.docx')) {
+    const mammoth = await import('mammoth');
+    const out = await mammoth.extractRawText({ buffer });
+    // DOCX has no fixed pagination - treat the document as one page
+    return { pages: [out.value || ''], method: 'mammoth' };
+  }
+
+  if (contentType.startsWith('text/') || TEXT_FILE_PATTERN.test(f.name)) {
+    return { pages: [buffer.toString('utf8')], method: 'text' };
+  }
+
+  diagnostics.push(`UNSUPPORTED: ${f.name} (${contentType || 'unknown content-type'})`);
+  return { pages: [], method: 'unsupported' };
+};
+
+// Extraction method of a PDF once its image pages have been OCR'd
+const pdfMethod = (pages, ocr) => (!ocr.length ? 'pdf-parse' : ocr.length === pages.length ? 'ocr' : 'pdf-parse+ocr');
+
+// Returns { pages: string[], method, ocr } for a downloaded file { name, buffer, contentType }.
+// ocr lists the pages that were OCR'd: [{ page, provider, confidence }]
+const extractDocumentPages = async (f, diagnostics) => {
+  const { pages, method } = await extractTextLayer(f, diagnostics);
+  if (method !== 'pdf-parse' || !pages.length) return { pages, method, ocr: [] };
+  // OCR only the image pages (scans, or scanned drawings inside a text PDF)
+  const { pages: withOcr, ocr } = await ocrImagePages(f, pages, diagnostics);
+  return { pages: withOcr, method: pdfMethod(pages, ocr), ocr };
+};
+
+module.exports = { extractDocumentPages, extractTextLayer, pdfMethod, MIN_TEXT_CHARS };
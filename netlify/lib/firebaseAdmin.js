@@ -0,0 +1,54 @@
+// Firebase Admin bootstrap shared by the Netlify functions
+// Requires env var: FIREBASE_SERVICE_ACCOUNT (service account JSON, raw or base64)
+// Optional env vars: FIREBASE_DATABASE_URL, FIREBASE_STORAGE_BUCKET (default to the dashboard project)
+
+const DEFAULT_DATABASE_URL = 'https://vesselforge-dashboard-a3262-default-rtdb.firebaseio.com';
+const DEFAULT_STORAGE_BUCKET = 'vesselforge-dashboard-a3262.firebasestorage.app';
+
+let cached = null;
+
+const parseServiceAccount = (raw) => {
+  if (!raw) return null;
+  const trimmed = raw.trim();
+  const json = trimmed.startsWith('{') ? trimmed : Buffer.from(trimmed, 'base64').toString('utf8');
+  return JSON.parse(json);
+};
+
+// Returns { admin, auth, db, bucket }, initialising the default app once per container
+const getFirebaseAdmin = async () => {
+  if (cached) return cached;
+
+  // Lazy import to reduce cold start
+  const admin = (await import('firebase-admin')).default;
+
+  if (!admin.apps.length) {
+    const serviceAccount = parseServiceAccount(process.env.FIREBASE_SERVICE_ACCOUNT);
+    admin.initializeApp({
+      credential: serviceAccount ? admin.credential.cert(serviceAccount) : admin.credential.applicationDefault(),
+      databaseURL: process.env.FIREBASE_DATABASE_URL || DEFAULT_DATABASE_URL,
+      storageBucket: process.env.FIREBASE_STORAGE_BUCKET || DEFAULT_STORAGE_BUCKET,
+    });
+  }
+
+  cached = {
+    admin,
+    auth: admin.auth(),
+    db: admin.database(),
+    bucket: admin.storage().bucket(),
+  };
+  return cached;
+};
+
+// Keys of the children at path, without their data. The Admin SDK cannot read shallowly, so this asks
+// the REST API (?shallow=true) with the service account's access token.
+const shallowKeys = async (firebase, path) => {
+  const { access_token: token } = await firebase.admin.app().options.credential.getAccessToken();
+  const url = `${firebase.db.app.options.databaseURL}/${path.split('/').map(encodeURIComponent).join('/')}.json?shallow=true`;
+  const res = await fetch(url, { headers: { Authorization: `Bearer ${token}` } });
+  if (!res.ok) {
+    throw new Error(`Shallow read of ${path} returned HTTP ${res.status}`);
+  }
+  return Object.keys((await res.json()) || {});
+};
+
+module.exports = { getFirebaseAdmin, shallowKeys };
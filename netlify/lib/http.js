@@ -0,0 +1,47 @@
+// Response helpers and the error contract shared by the Netlify functions.
+// Every failure body looks like { error, code, details?, retryAfter?, diagnostics? } so the
+// dashboard can show `error` directly and branch on `code`.
+
+const ERROR_CODES = {
+  BAD_REQUEST: 'BAD_REQUEST',
+  UNAUTHENTICATED: 'UNAUTHENTICATED',
+  FORBIDDEN: 'FORBIDDEN',
+  NOT_FOUND: 'NOT_FOUND',
+  METHOD_NOT_ALLOWED: 'METHOD_NOT_ALLOWED',
+  CONFLICT: 'CONFLICT',
+  RATE_LIMITED: 'RATE_LIMITED',
+  NO_TEXT: 'NO_TEXT',
+  UPSTREAM_ERROR: 'UPSTREAM_ERROR',
+  NOT_CONFIGURED: 'NOT_CONFIGURED',
+  INTERNAL: 'INTERNAL',
+};
+
+class HttpError extends Error {
+  constructor(statusCode, code, message, extra = {}) {
+    super(message);
+    this.statusCode = statusCode;
+    this.code = code;
+    this.extra = extra;
+  }
+}
+
+const json = (statusCode, body, headers = {}) => ({
+  statusCode,
+  headers: { 'Content-Type': 'application/json', ...headers },
+  body: JSON.stringify(body),
+});
+
+const errorResponse = (statusCode, code, message, extra = {}) => {
+  const headers = extra.retryAfter ? { 'Retry-After': String(extra.retryAfter) } : {};
+  return json(statusCode, { error: message, code, ...extra }, headers);
+};
+
+// Converts anything thrown inside a handler into the error contract
+const toErrorResponse = (err, extra = {}) => {
+  if (err instanceof HttpError) {
+    return errorResponse(err.statusCode, err.code, err.message, { ...err.extra, ...extra });
+  }
+  return errorResponse(500, ERROR_CODES.INTERNAL, err?.message || 'Unexpected server error', extra);
+};
+
+module.exports = { ERROR_CODES, HttpError, json, errorResponse, toErrorResponse };
@@ -0,0 +1,42 @@
+// Anthropic Messages API. Structured output goes through a forced tool call.
+// Requires env var: ANTHROPIC_API_KEY. Optional: CLAUDE_MODEL
+
+const DEFAULT_MODEL = process.env.CLAUDE_MODEL || 'claude-3-5-sonnet-20240620';
+
+let client = null;
+
+const isConfigured = () => Boolean(process.env.ANTHROPIC_API_KEY);
+
+const getClient = async () => {
+  if (!client) {
+    const { default: Anthropic } = await import('@anthropic-ai/sdk');
+    client = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
+  }
+  return client;
+};
+
+const complete = async ({ model, system, prompt, maxTokens, tool }) => {
+  const completion = await (await getClient()).messages.create({
+    model: model || DEFAULT_MODEL,
+    max_tokens: maxTokens,
+    temperature: 0,
+    system,
+    ...(tool ? { tools: [tool], tool_choice: { type: 'tool', name: tool.name } } : {}),
+    messages: [{ role: 'user', content: prompt }],
+  });
+  const blocks = completion.content || [];
+  const toolUse = tool && blocks.find(b => b.type === 'tool_use' && b.name === tool.name);
+  return {
+    toolInput: toolUse ? toolUse.input : null,
+    text: blocks.filter(b => b.type === 'text').map(b => b.text).join('\n'),
+    truncated: completion.stop_reason === 'max_tokens',
+  };
+};
+
+module.exports = {
+  name: 'anthropic',
+  label: 'Anthropic Claude',
+  defaultModel: () => DEFAULT_MODEL,
+  isConfigured,
+  complete,
+};
@@ -0,0 +1,33 @@
+// LLM providers behind the spec review. Each provider exposes
+//   { name, label, defaultModel(), isConfigured(), complete(request) }
+// where request is { model, system, prompt, maxTokens, tool?, label?, fixtureKey? } and tool uses
+// the Anthropic tool shape { name, description, input_schema }. complete() resolves to
+// { toolInput, text, truncated }: the parsed tool arguments (null if the model did not call the
+// tool or they were cut off), any text, and whether the reply hit the token limit.
+// Optional env var: LLM_PROVIDERS (comma separated, first configured one is the default -
+// default "anthropic,openai"; add "mock" to offer recorded replies)
+
+const anthropic = require('./anthropic');
+const openaiCompatible = require('./openaiCompatible');
+const mock = require('./mock');
+
+const PROVIDERS = { [anthropic.name]: anthropic, [openaiCompatible.name]: openaiCompatible, [mock.name]: mock };
+const DEFAULT_PROVIDERS = 'anthropic,openai';
+
+const getProvider = (name) => PROVIDERS[name] || null;
+
+// Providers this deployment offers, in LLM_PROVIDERS order
+const enabledProviders = () => (process.env.LLM_PROVIDERS || DEFAULT_PROVIDERS)
+  .split(',')
+  .map(n => getProvider(n.trim().toLowerCase()))
+  .filter(p => p && p.isConfigured());
+
+// The named provider if it is enabled, or the default when no name is given
+const resolveProvider = (name) => {
+  const enabled = enabledProviders();
+  return name ? enabled.find(p => p.name === name) || null : enabled[0] || null;
+};
+
+const listProviders = () => enabledProviders().map(p => ({ name: p.name, label: p.label, defaultModel: p.defaultModel() }));
+
+module.exports = { getProvider, enabledProviders, resolveProvider, listProviders };
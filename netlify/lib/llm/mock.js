@@ -0,0 +1,65 @@
+// Record/replay provider for offline runs, tests and demos. Replies are looked up in
+// fixtures/<key>.json, where key is a hash of the request's fixtureKey (the spec review uses the
+// chunk's file name and text plus the step, so fixtures survive prompt wording changes).
+// Record with LLM_MOCK_MODE=record under `netlify dev`: requests go to LLM_MOCK_RECORD_PROVIDER
+// (default anthropic) and each reply is written next to the others.
+// Optional env vars: LLM_MOCK_MODE (replay|record), LLM_MOCK_RECORD_PROVIDER, LLM_FIXTURES_DIR
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURES_DIR = process.env.LLM_FIXTURES_DIR || path.join(__dirname, 'fixtures');
+
+const fixtureKey = ({ fixtureKey: key, system, prompt }) => crypto
+  .createHash('sha256')
+  .update(key || `${system}\n${prompt}`)
+  .digest('hex')
+  .slice(0, 16);
+
+const fixturePath = (key) => path.join(FIXTURES_DIR, `${key}.json`);
+
+const record = async (request, key) => {
+  // Required here - ./index requires this module
+  const { getProvider } = require('./index');
+  const name = process.env.LLM_MOCK_RECORD_PROVIDER || 'anthropic';
+  const upstream = getProvider(name);
+  if (!upstream || upstream.name === 'mock' || !upstream.isConfigured()) {
+    throw new Error(`LLM_MOCK_RECORD_PROVIDER "${name}" is not configured`);
+  }
+  // request.model is this provider's 'fixtures' - the upstream answers with its own default model
+  const model = upstream.defaultModel();
+  const response = await upstream.complete({ ...request, model });
+  fs.mkdirSync(FIXTURES_DIR, { recursive: true });
+  fs.writeFileSync(fixturePath(key), `${JSON.stringify({
+    key,
+    label: request.label || null,
+    recordedWith: `${upstream.name}/${model}`,
+    recordedAt: new Date().toISOString(),
+    response,
+  }, null, 2)}\n`);
+  return response;
+};
+
+const complete = async (request) => {
+  const key = fixtureKey(request);
+  if (process.env.LLM_MOCK_MODE === 'record') return record(request, key);
+
+  let fixture;
+  try {
+    fixture = JSON.parse(fs.readFileSync(fixturePath(key), 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw new Error(`fixture ${key} is unreadable - ${err.message}`);
+    throw new Error(`no recorded reply for ${request.label || 'this request'} (fixture ${key}) - record it with LLM_MOCK_MODE=record`);
+  }
+  return { toolInput: null, text: '', truncated: false, ...fixture.response };
+};
+
+module.exports = {
+  name: 'mock',
+  label: 'Mock (recorded replies)',
+  defaultModel: () => 'fixtures',
+  isConfigured: () => true,
+  complete,
+  fixtureKey,
+};
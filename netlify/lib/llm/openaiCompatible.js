@@ -0,0 +1,77 @@
+// Any OpenAI-compatible /chat/completions endpoint - vLLM, Ollama, LM Studio or a hosted API.
+// Structured output uses function calling; set OPENAI_COMPAT_TOOLS=false for servers without it
+// and the schema is requested as a JSON object instead.
+// Requires env var: OPENAI_COMPAT_BASE_URL (e.g. http://llm.internal:8000/v1)
+// Optional env vars: OPENAI_COMPAT_API_KEY, OPENAI_COMPAT_MODEL, OPENAI_COMPAT_TOOLS, OPENAI_COMPAT_TIMEOUT_MS
+
+const DEFAULT_MODEL = process.env.OPENAI_COMPAT_MODEL || 'gpt-4o-mini';
+const TIMEOUT_MS = parseInt(process.env.OPENAI_COMPAT_TIMEOUT_MS || '120000', 10);
+
+const isConfigured = () => Boolean(process.env.OPENAI_COMPAT_BASE_URL);
+const useTools = () => process.env.OPENAI_COMPAT_TOOLS !== 'false';
+
+const jsonModePrompt = (prompt, tool) => `${prompt}
+
+Reply with one JSON object matching this schema and nothing else:
+${JSON.stringify(tool.input_schema)}`;
+
+const complete = async ({ model, system, prompt, maxTokens, tool }) => {
+  const tools = tool && useTools();
+  const body = {
+    model: model || DEFAULT_MODEL,
+    max_tokens: maxTokens,
+    temperature: 0,
+    messages: [
+      { role: 'system', content: system },
+      { role: 'user', content: tool && !tools ? jsonModePrompt(prompt, tool) : prompt },
+    ],
+    ...(tools ? {
+      tools: [{ type: 'function', function: { name: tool.name, description: tool.description, parameters: tool.input_schema } }],
+      tool_choice: { type: 'function', function: { name: tool.name } },
+    } : {}),
+    ...(tool && !tools ? { response_format: { type: 'json_object' } } : {}),
+  };
+
+  const res = await fetch(`${process.env.OPENAI_COMPAT_BASE_URL.replace(/\/$/, '')}/chat/completions`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(process.env.OPENAI_COMPAT_API_KEY ? { 'Authorization': `Bearer ${process.env.OPENAI_COMPAT_API_KEY}` } : {}),
+    },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(TIMEOUT_MS),
+  });
+  if (!res.ok) {
+    const detail = await res.text().catch(() => '');
+    throw new Error(`OpenAI-compatible endpoint returned HTTP ${res.status}${detail ? `: ${detail.slice(0, 200)}` : ''}`);
+  }
+  const data = await res.json();
+  const choice = data.choices?.[0] || {};
+  const message = choice.message || {};
+
+  // Arguments arrive as a JSON string; a truncated one is handed back as text so the caller can
+  // salvage the complete elements
+  const args = message.tool_calls?.find(c => c.function?.name === tool?.name)?.function?.arguments
+    ?? (tool && !tools ? message.content : null);
+  let toolInput = null;
+  if (typeof args === 'string') {
+    try {
+      toolInput = JSON.parse(args);
+    } catch {
+      toolInput = null;
+    }
+  }
+  return {
+    toolInput,
+    text: toolInput ? (message.content || '') : (args || message.content || ''),
+    truncated: choice.finish_reason === 'length',
+  };
+};
+
+module.exports = {
+  name: 'openai',
+  label: 'OpenAI-compatible',
+  defaultModel: () => DEFAULT_MODEL,
+  isConfigured,
+  complete,
+};
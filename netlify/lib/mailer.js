@@ -0,0 +1,32 @@
+// SMTP transport for notification email (nodemailer)
+// Requires env vars: SMTP_HOST, SMTP_FROM - email is skipped while either is empty
+// Optional env vars: SMTP_PORT (default 587; 465 implies TLS), SMTP_SECURE ("true" for TLS from the start),
+// SMTP_USER / SMTP_PASS, SMTP_IGNORE_TLS ("true" for local test servers such as MailHog or smtp4dev)
+
+let cached = null;
+
+const isMailConfigured = () => Boolean(process.env.SMTP_HOST && process.env.SMTP_FROM);
+
+const getTransport = () => {
+  if (cached) return cached;
+  const nodemailer = require('nodemailer');
+  const port = parseInt(process.env.SMTP_PORT || '587', 10);
+  cached = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+    ignoreTLS: process.env.SMTP_IGNORE_TLS === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS || '' } : undefined,
+  });
+  return cached;
+};
+
+const sendMail = ({ to, subject, text, html }) => getTransport().sendMail({
+  from: process.env.SMTP_FROM,
+  to,
+  subject,
+  text,
+  html,
+});
+
+module.exports = { isMailConfigured, sendMail };
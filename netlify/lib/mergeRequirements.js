@@ -0,0 +1,104 @@
+// Reduce step of the spec review: merges per-chunk requirement lists from every file and
+// removes duplicates. Two requirements are treated as the same when their wording is close
+// (token overlap) and they quote the same numbers - "design pressure 10 barg" and
+// "design pressure 12 barg" stay separate even though the wording matches.
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'shall', 'must', 'should', 'will', 'are', 'all', 'any', 'each',
+  'this', 'that', 'from', 'into', 'per', 'been', 'have', 'has', 'not', 'than', 'then', 'such',
+  'which', 'where', 'when', 'its', 'their', 'these', 'those', 'required', 'requirement', 'be', 'of', 'to',
+]);
+
+const normalise = (text) => (text || '')
+  .toLowerCase()
+  .replace(/(\d),(\d{3})\b/g, '$1$2')
+  .replace(/[^a-z0-9.]+/g, ' ')
+  .replace(/\.(?!\d)/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const fingerprint = (r) => {
+  const text = normalise(r.requirement);
+  const words = text.split(' ').filter(w => w.length > 2 && !STOP_WORDS.has(w) && !/^\d/.test(w));
+  const numbers = (text.match(/\d+(?:\.\d+)?/g) || []).map(n => String(parseFloat(n)));
+  return { text, words: new Set(words), numbers: [...new Set(numbers)].sort().join('|') };
+};
+
+// Dice coefficient over significant words
+const wordSimilarity = (a, b) => {
+  if (!a.size || !b.size) return 0;
+  let shared = 0;
+  for (const w of a) if (b.has(w)) shared++;
+  return (2 * shared) / (a.size + b.size);
+};
+
+const isDuplicate = (a, b, fa, fb) => {
+  if (fa.text === fb.text) return true;
+  if (fa.numbers !== fb.numbers) return false;
+  const similarity = wordSimilarity(fa.words, fb.words);
+  const sameCategory = (a.category || '').toLowerCase() === (b.category || '').toLowerCase();
+  return similarity >= 0.9 || (sameCategory && similarity >= 0.75);
+};
+
+const sourceRef = (r) => ({
+  fileName: r.source?.fileName || null,
+  chunk: r.source?.chunk ?? null,
+  page: r.source?.page ?? null,
+  pageVerified: r.source?.pageVerified ?? null,
+  section: r.source?.section || null,
+  quote: r.source?.quote || null,
+});
+
+// Takes [{ fileName, chunk, key?, items }] in file/chunk order and returns the merged list plus stats.
+// Each merged item keeps the source of its first occurrence and lists the others in alsoFoundIn.
+// With a partial `key`, items get an origin ("<key>_<n>") that stays the same when other chunks
+// are added later, so ids built from it survive a resumed job.
+const mergeRequirements = (partials) => {
+  const merged = [];
+  let duplicates = 0;
+
+  for (const partial of partials) {
+    (partial.items || []).forEach((item, n) => {
+      if (!item || !item.requirement) return;
+      const candidate = {
+        ...item,
+        source: { ...(item.source || {}), fileName: partial.fileName, chunk: partial.chunk },
+        ...(partial.key != null ? { origin: `${partial.key}_${n}` } : {}),
+      };
+      const fp = fingerprint(candidate);
+      const existing = merged.find(m => isDuplicate(m.item, candidate, m.fp, fp));
+      if (!existing) {
+        merged.push({ item: candidate, fp, alsoFoundIn: [] });
+        return;
+      }
+      duplicates++;
+      existing.alsoFoundIn.push(sourceRef(candidate));
+      // Keep the more specific wording, but the first source stays the origin
+      if ((candidate.requirement || '').length > (existing.item.requirement || '').length) {
+        existing.item = { ...existing.item, ...candidate, source: existing.item.source, origin: existing.item.origin };
+        existing.fp = fp;
+      }
+    });
+  }
+
+  return {
+    items: merged.map(m => (m.alsoFoundIn.length ? { ...m.item, alsoFoundIn: m.alsoFoundIn } : m.item)),
+    duplicates,
+  };
+};
+
+// Shape the Spec tab renders. Items were validated against ./requirementSchema in the map step,
+// so category and severity are passed through rather than defaulted.
+const toResultItems = (mergedItems) => mergedItems.map((r, i) => ({
+  id: r.origin ? `req_${r.origin}` : `req_${i + 1}`,
+  severity: r.severity,
+  category: r.category,
+  requirement: r.requirement || '',
+  rationale: r.rationale || '',
+  details: r.details || '',
+  compliance_ref: r.compliance_ref || '',
+  source: r.source || null,
+  ...(r.alsoFoundIn ? { alsoFoundIn: r.alsoFoundIn } : {}),
+}));
+
+module.exports = { mergeRequirements, toResultItems, normalise, wordSimilarity };
@@ -0,0 +1,138 @@
+// Notification delivery shared by the notify endpoint, the SLA check and the daily email digest.
+// users/{uid}/notificationPrefs = { [event]: { inApp, desktop, email: 'off' | 'immediate' | 'digest' } }
+// is merged over DEFAULT_NOTIFICATION_PREFS (same table as NOTIFICATION_EVENTS in index.html).
+// In-app notifications go to notifications/{emailKey}/{id}, where the recipient's dashboard also
+// raises the desktop popup. Digest email waits under emailDigest/{uid}/{id} for the daily run, and
+// immediate email that fails to send is queued there too so it is not lost.
+
+const { isMailConfigured, sendMail } = require('./mailer');
+
+const NOTIFICATION_EVENTS = ['mention', 'reply', 'action_assigned', 'status_change', 'due_soon'];
+
+const DEFAULT_NOTIFICATION_PREFS = {
+  mention: { inApp: true, desktop: true, email: 'immediate' },
+  reply: { inApp: true, desktop: true, email: 'immediate' },
+  action_assigned: { inApp: true, desktop: true, email: 'immediate' },
+  status_change: { inApp: true, desktop: false, email: 'digest' },
+  due_soon: { inApp: true, desktop: true, email: 'digest' },
+};
+
+const emailKey = (email) => String(email).replace(/[.#$\[\]]/g, '_');
+
+// SLA notifications (sla-due, sla-overdue, sla-escalation) all fall under due_soon
+const eventForType = (type) => (String(type).startsWith('sla-') ? 'due_soon' : type);
+
+const notificationPrefs = (userData, event) => ({
+  ...DEFAULT_NOTIFICATION_PREFS[event],
+  ...(userData?.notificationPrefs?.[event] || {}),
+});
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const renderEmail = (notifications, baseUrl, heading) => {
+  const text = [
+    heading,
+    '',
+    ...notifications.map(n => `- ${n.title}${n.tenderRef ? ` [${n.tenderRef}]` : ''}\n  ${n.body || ''}`),
+    '',
+    `Open VesselForge: ${baseUrl}`,
+    'Change which emails you get under Profile > Notification preferences.',
+  ].join('\n');
+  const html = `<h2 style="font-family:sans-serif">${escapeHtml(heading)}</h2>`
+    + '<ul style="font-family:sans-serif">'
+    + notifications.map(n => `<li><strong>${escapeHtml(n.title)}</strong>${n.tenderRef ? ` [${escapeHtml(n.tenderRef)}]` : ''}<br>${escapeHtml(n.body)}</li>`).join('')
+    + '</ul>'
+    + `<p style="font-family:sans-serif"><a href="${escapeHtml(baseUrl)}">Open VesselForge</a><br>`
+    + '<small>Change which emails you get under Profile &gt; Notification preferences.</small></p>';
+  return { text, html };
+};
+
+// deliveries: [{ email, notification: { id, type, title, body, tenderRef?, createdAt, read } }]
+// Returns { inApp, emailed, queued } counts.
+const deliverNotifications = async (db, users, deliveries, { baseUrl = process.env.URL || '' } = {}) => {
+  const byEmail = new Map(Object.entries(users || {})
+    .filter(([, u]) => u && u.email && u.isActive !== false)
+    .map(([uid, u]) => [u.email.toLowerCase(), { uid, userData: u }]));
+  const updates = {};
+  const immediate = [];
+  const counts = { inApp: 0, emailed: 0, queued: 0 };
+
+  deliveries.forEach(({ email, notification }) => {
+    const recipient = byEmail.get(String(email).toLowerCase());
+    if (!recipient) return;
+    const prefs = notificationPrefs(recipient.userData, eventForType(notification.type));
+    if (prefs.inApp !== false) {
+      updates[`notifications/${emailKey(recipient.userData.email)}/${notification.id}`] = notification;
+      counts.inApp += 1;
+    }
+    if (!isMailConfigured()) return;
+    if (prefs.email === 'immediate') {
+      immediate.push({ recipient, notification });
+    } else if (prefs.email === 'digest') {
+      updates[`emailDigest/${recipient.uid}/${notification.id}`] = notification;
+      counts.queued += 1;
+    }
+  });
+
+  for (const { recipient, notification } of immediate) {
+    try {
+      await sendMail({
+        to: recipient.userData.email,
+        subject: `[VesselForge] ${notification.title}`,
+        ...renderEmail([notification], baseUrl, notification.title),
+      });
+      counts.emailed += 1;
+    } catch (error) {
+      console.error('Notification email failed, queued for the digest', recipient.userData.email, error.message);
+      updates[`emailDigest/${recipient.uid}/${notification.id}`] = notification;
+      counts.queued += 1;
+    }
+  }
+
+  if (Object.keys(updates).length) await db.ref().update(updates);
+  return counts;
+};
+
+// Sends one email per user with everything queued under emailDigest/{uid} and clears what was sent
+const sendDigests = async (db, { baseUrl = process.env.URL || '' } = {}) => {
+  if (!isMailConfigured()) return { sent: 0, skipped: 'SMTP not configured' };
+  const [queued, users] = await Promise.all(
+    ['emailDigest', 'users'].map(path => db.ref(path).once('value').then(s => s.val() || {}))
+  );
+  let sent = 0;
+  for (const [uid, entries] of Object.entries(queued)) {
+    const userData = users[uid];
+    const notifications = Object.values(entries || {}).sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+    if (!userData?.email || userData.isActive === false || !notifications.length) {
+      await db.ref(`emailDigest/${uid}`).remove();
+      continue;
+    }
+    try {
+      await sendMail({
+        to: userData.email,
+        subject: `[VesselForge] Daily digest - ${notifications.length} update${notifications.length === 1 ? '' : 's'}`,
+        ...renderEmail(notifications, baseUrl, 'Your VesselForge updates'),
+      });
+      await db.ref(`emailDigest/${uid}`).update(Object.fromEntries(Object.keys(entries).map(id => [id, null])));
+      sent += 1;
+    } catch (error) {
+      console.error('Digest email failed, kept for the next run', userData.email, error.message);
+    }
+  }
+  return { sent };
+};
+
+module.exports = {
+  NOTIFICATION_EVENTS,
+  DEFAULT_NOTIFICATION_PREFS,
+  emailKey,
+  eventForType,
+  notificationPrefs,
+  renderEmail,
+  deliverNotifications,
+  sendDigests,
+};
@@ -0,0 +1,47 @@
+// Azure Computer Vision Read API (reliable, large limits). Only the requested pages are read.
+// Requires env vars: AZURE_CV_ENDPOINT, AZURE_CV_KEY
+
+const POLL_ATTEMPTS = 30; // ~30s
+
+const isConfigured = () => Boolean(process.env.AZURE_CV_ENDPOINT && process.env.AZURE_CV_KEY);
+
+// Word confidences are 0..1 - report the page mean as a percentage
+const pageConfidence = (lines) => {
+  const words = lines.flatMap(l => l.words || []).filter(w => typeof w.confidence === 'number');
+  if (!words.length) return null;
+  return Math.round((words.reduce((sum, w) => sum + w.confidence, 0) / words.length) * 100);
+};
+
+const recognise = async ({ name, buffer, pages }, diagnostics) => {
+  const azureKey = process.env.AZURE_CV_KEY;
+  const analyzeUrl = `${process.env.AZURE_CV_ENDPOINT.replace(/\/$/, '')}/vision/v3.2/read/analyze?pages=${pages.join(',')}`;
+  diagnostics.push(`AZURE: start for ${name} (${buffer.length} bytes, pages ${pages.join(', ')})`);
+
+  const analyzeRes = await fetch(analyzeUrl, {
+    method: 'POST',
+    headers: { 'Ocp-Apim-Subscription-Key': azureKey, 'Content-Type': 'application/octet-stream' },
+    body: buffer,
+  });
+  if (!analyzeRes.ok) throw new Error(`analyze HTTP ${analyzeRes.status}`);
+  const opLoc = analyzeRes.headers.get('operation-location');
+  if (!opLoc) throw new Error('operation-location header missing');
+
+  for (let i = 0; i < POLL_ATTEMPTS; i++) {
+    await new Promise(r => setTimeout(r, 1000));
+    const rRes = await fetch(opLoc, { headers: { 'Ocp-Apim-Subscription-Key': azureKey } });
+    const rJson = await rRes.json();
+    const status = rJson.status || rJson.statusCode || rJson.analyzeResult?.status;
+    if (status === 'failed') throw new Error('read operation failed');
+    if (status !== 'succeeded') continue;
+
+    const readResults = rJson.analyzeResult?.readResults || [];
+    return readResults.map((r, n) => ({
+      page: r.page || pages[n],
+      text: (r.lines || []).map(l => l.text || '').join('\n'),
+      confidence: pageConfidence(r.lines || []),
+    }));
+  }
+  throw new Error(`no result after ${POLL_ATTEMPTS} polls`);
+};
+
+module.exports = { name: 'azure', isConfigured, recognise };
@@ -0,0 +1,87 @@
+// OCR provider chain. Each provider exposes { name, isConfigured(), recognise({ name, buffer, pages }, diagnostics) }
+// and returns [{ page, text, confidence }] with confidence as a 0-100 percentage (null when unknown).
+// Pages are offered to the providers in order; a page is done once one of them returns text for it.
+// Optional env vars: OCR_PROVIDERS (ordered, comma separated - default "azure,ocrspace,tesseract";
+// use "tesseract" to keep scans in-house), OCR_PAGE_MIN_CHARS, OCR_LOW_CONFIDENCE, OCR_MAX_PAGES
+
+const azure = require('./azure');
+const ocrSpace = require('./ocrSpace');
+const tesseract = require('./tesseract');
+
+const PROVIDERS = { [azure.name]: azure, [ocrSpace.name]: ocrSpace, [tesseract.name]: tesseract };
+const DEFAULT_CHAIN = 'azure,ocrspace,tesseract';
+
+// Pages with less text than this are treated as images and sent to OCR
+const PAGE_MIN_CHARS = parseInt(process.env.OCR_PAGE_MIN_CHARS || '20', 10);
+const LOW_CONFIDENCE = parseInt(process.env.OCR_LOW_CONFIDENCE || '70', 10);
+const MAX_PAGES = parseInt(process.env.OCR_MAX_PAGES || '150', 10);
+
+const providerChain = (diagnostics = []) => (process.env.OCR_PROVIDERS || DEFAULT_CHAIN)
+  .split(',')
+  .map(n => n.trim().toLowerCase())
+  .filter(Boolean)
+  .filter(n => {
+    if (!PROVIDERS[n]) diagnostics.push(`OCR: unknown provider "${n}" in OCR_PROVIDERS - skipped`);
+    return PROVIDERS[n] && PROVIDERS[n].isConfigured();
+  })
+  .map(n => PROVIDERS[n]);
+
+const imagePages = (pages) => pages
+  .map((text, i) => ((text || '').trim().length < PAGE_MIN_CHARS ? i + 1 : null))
+  .filter(Boolean);
+
+// Image pages of a PDF that OCR will be tried on, capped at OCR_MAX_PAGES; [] when no provider is configured
+const pagesToOcr = (name, pages, diagnostics) => {
+  const wanted = imagePages(pages);
+  if (!wanted.length) return [];
+
+  const todo = wanted.slice(0, MAX_PAGES);
+  if (todo.length < wanted.length) {
+    diagnostics.push(`OCR: ${name} has ${wanted.length} image pages - only the first ${MAX_PAGES} are OCR'd (OCR_MAX_PAGES)`);
+  }
+  if (!providerChain().length) {
+    diagnostics.push(`OCR: no provider configured for ${name} - image pages p.${todo.join(', ')} skipped`);
+    return [];
+  }
+  return todo;
+};
+
+// OCRs the image pages of a PDF, or only the page numbers in todo (see ../pageText.js, which OCRs
+// long scans in batches). Returns { pages, ocr: [{ page, provider, confidence }] } where pages is
+// the input with OCR text swapped in for the pages that were recognised.
+const ocrImagePages = async ({ name, buffer }, pages, diagnostics, todo = pagesToOcr(name, pages, diagnostics)) => {
+  if (!todo.length) return { pages, ocr: [] };
+  const chain = providerChain(diagnostics);
+
+  const out = [...pages];
+  const ocr = [];
+  let remaining = todo;
+  for (const provider of chain) {
+    if (!remaining.length) break;
+    try {
+      const results = await provider.recognise({ name, buffer, pages: remaining }, diagnostics);
+      for (const r of results) {
+        if (!remaining.includes(r.page) || (r.text || '').trim().length < PAGE_MIN_CHARS) continue;
+        out[r.page - 1] = r.text;
+        ocr.push({ page: r.page, provider: provider.name, confidence: r.confidence ?? null });
+      }
+      remaining = remaining.filter(p => !ocr.some(o => o.page === p));
+    } catch (err) {
+      // tesseract.js rejects with plain strings
+      const message = err?.message || String(err);
+      diagnostics.push(`OCR ${provider.name.toUpperCase()}: failed for ${name} - ${message}`);
+      console.warn('OCR provider failed', provider.name, name, message);
+    }
+  }
+
+  ocr.sort((a, b) => a.page - b.page);
+  ocr.forEach(o => diagnostics.push(
+    `OCR: ${name} p.${o.page} via ${o.provider}, confidence ${o.confidence == null ? 'n/a' : `${o.confidence}%`}`
+  ));
+  const low = ocr.filter(o => o.confidence != null && o.confidence < LOW_CONFIDENCE).map(o => o.page);
+  if (low.length) diagnostics.push(`OCR LOW CONFIDENCE: ${name} p.${low.join(', ')} below ${LOW_CONFIDENCE}% - check these pages by hand`);
+  if (remaining.length) diagnostics.push(`OCR: no text recovered for ${name} p.${remaining.join(', ')}`);
+  return { pages: out, ocr };
+};
+
+module.exports = { ocrImagePages, pagesToOcr, providerChain, imagePages, LOW_CONFIDENCE };
@@ -0,0 +1,37 @@
+// OCR.space. Only used with a key, so scans are never sent to it by default; set the key to the public
+// demo key "helloworld" to opt in to that, with its strict rate limits.
+// The API reads the whole PDF, so only the requested pages are kept from the result.
+// It reports no confidence, so pages from this provider show as "n/a".
+// Optional env var: OCR_SPACE_API_KEY
+
+const DEMO_KEY = 'helloworld';
+
+const isConfigured = () => Boolean(process.env.OCR_SPACE_API_KEY);
+
+const recognise = async ({ buffer, pages }, diagnostics) => {
+  const ocrKey = process.env.OCR_SPACE_API_KEY;
+  if (ocrKey === DEMO_KEY) diagnostics.push('OCR.SPACE: using the public demo key');
+
+  // Use base64 upload mode to avoid remote URL fetch restrictions
+  const form = new URLSearchParams();
+  form.append('base64Image', `data:application/pdf;base64,${buffer.toString('base64')}`);
+  form.append('filetype', 'PDF');
+  form.append('isCreateSearchablePdf', 'false');
+  form.append('isTable', 'false');
+  form.append('OCREngine', '2');
+  const ocrRes = await fetch('https://api.ocr.space/parse/image', {
+    method: 'POST',
+    headers: { 'apikey': ocrKey, 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: form.toString(),
+  });
+  const ocrJson = await ocrRes.json();
+  if (ocrJson?.IsErroredOnProcessing) {
+    throw new Error([].concat(ocrJson.ErrorMessage || 'processing error').join('; '));
+  }
+  const parsed = ocrJson?.ParsedResults || [];
+  return pages
+    .filter(page => parsed[page - 1])
+    .map(page => ({ page, text: parsed[page - 1].ParsedText || '', confidence: null }));
+};
+
+module.exports = { name: 'ocrspace', isConfigured, recognise };
@@ -0,0 +1,118 @@
+// Local OCR with tesseract.js (WASM) - runs inside the function, so documents never leave it.
+// A scanned PDF page is normally one embedded image: it is decoded with the pdf.js build that
+// ships with pdf-parse, encoded as PNG and handed to Tesseract.
+// Optional env vars: TESSERACT_LANG (default eng), TESSERACT_LANG_PATH (self-hosted traineddata)
+
+const zlib = require('zlib');
+
+// pdf.js ImageKind
+const GRAYSCALE_1BPP = 1;
+const RGB_24BPP = 2;
+const RGBA_32BPP = 3;
+
+const isConfigured = () => true;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (buf) => {
+  let c = 0xffffffff;
+  for (const byte of buf) c = CRC_TABLE[(c ^ byte) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+};
+
+const pngChunk = (type, data) => {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+};
+
+// Minimal PNG encoder for the pixel layouts pdf.js hands back
+const encodePng = ({ width, height, kind, data }) => {
+  const [bitDepth, colorType, rowBytes] = {
+    [GRAYSCALE_1BPP]: [1, 0, (width + 7) >> 3],
+    [RGB_24BPP]: [8, 2, width * 3],
+    [RGBA_32BPP]: [8, 6, width * 4],
+  }[kind] || [];
+  if (!bitDepth) throw new Error(`unsupported image kind ${kind}`);
+
+  const raw = Buffer.alloc((rowBytes + 1) * height);
+  for (let y = 0; y < height; y++) {
+    raw[y * (rowBytes + 1)] = 0; // filter: none
+    Buffer.from(data.buffer, data.byteOffset + y * rowBytes, rowBytes).copy(raw, y * (rowBytes + 1) + 1);
+  }
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = bitDepth;
+  header[9] = colorType;
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0)),
+  ]);
+};
+
+// Largest image painted on each requested page, as PNG
+const pageImages = async (buffer, pages) => {
+  const PDFJS = require('pdf-parse/lib/pdf.js/v1.10.100/build/pdf.js');
+  PDFJS.disableWorker = true;
+  // Decode JPEGs in JS - there is no browser image decoder in a function
+  const doc = await PDFJS.getDocument({ data: new Uint8Array(buffer), nativeImageDecoderSupport: 'none' });
+  const imageOps = new Set([PDFJS.OPS.paintImageXObject, PDFJS.OPS.paintInlineImageXObject]);
+  const images = new Map();
+  try {
+    for (const pageNumber of pages) {
+      const page = await doc.getPage(pageNumber);
+      const ops = await page.getOperatorList();
+      let best = null;
+      ops.fnArray.forEach((fn, i) => {
+        if (!imageOps.has(fn)) return;
+        const arg = ops.argsArray[i][0];
+        const img = typeof arg === 'string' ? page.objs.get(arg) : arg;
+        if (img && img.data && (!best || img.width * img.height > best.width * best.height)) best = img;
+      });
+      if (best) images.set(pageNumber, encodePng(best));
+      page.cleanup();
+    }
+  } finally {
+    doc.destroy();
+  }
+  return images;
+};
+
+const recognise = async ({ name, buffer, pages }, diagnostics) => {
+  const images = await pageImages(buffer, pages);
+  const missing = pages.filter(p => !images.has(p));
+  if (missing.length) diagnostics.push(`TESSERACT: no page image found in ${name} p.${missing.join(', ')}`);
+  if (!images.size) return [];
+
+  const { createWorker } = await import('tesseract.js');
+  // The language is loaded separately: a failed download inside createWorker() never settles its
+  // promise, whereas reinitialize() rejects and lets the worker be terminated below
+  const worker = await createWorker([], 1, {
+    cachePath: '/tmp/tesseract',
+    errorHandler: () => {},
+    ...(process.env.TESSERACT_LANG_PATH ? { langPath: process.env.TESSERACT_LANG_PATH } : {}),
+  });
+  try {
+    await worker.reinitialize(process.env.TESSERACT_LANG || 'eng', 1);
+    const results = [];
+    for (const [page, png] of images) {
+      const { data } = await worker.recognize(png);
+      results.push({ page, text: data.text || '', confidence: Math.round(data.confidence) });
+    }
+    return results;
+  } finally {
+    await worker.terminate();
+  }
+};
+
+module.exports = { name: 'tesseract', isConfigured, recognise };
@@ -0,0 +1,74 @@
+// Extracted page text of spec and tender files, kept in Storage so a file is only extracted and
+// OCR'd once - by resumed and continued spec reviews, later runs and revision comparisons alike:
+//
+//   page-text/{source path}.json = { path, generation, name, method, pages, ocr, ocrPending }
+//
+// ocrPending lists the image pages still to OCR. Long scans are OCR'd a batch at a time with the
+// record saved after each batch, so a job that runs out of time carries on from the next batch.
+// A record only counts for the upload it was made from (the source object's Storage generation).
+// Browsers never read these objects; storage.rules has no match for page-text/.
+// Optional env var: OCR_BATCH_PAGES (image pages OCR'd between checkpoints, default 10)
+
+const { downloadSpecFile } = require('./specStorage');
+const { extractTextLayer, pdfMethod } = require('./extractText');
+const { ocrImagePages, pagesToOcr } = require('./ocr');
+
+const OCR_BATCH_PAGES = parseInt(process.env.OCR_BATCH_PAGES || '10', 10);
+
+const pageTextPath = (path) => `page-text/${path}.json`;
+
+const generationOf = async (bucket, path) => String((await bucket.file(path).getMetadata())[0].generation);
+
+// The stored record for the current upload at path, or null
+const loadPageText = async (bucket, path, generation = null) => {
+  const cached = bucket.file(pageTextPath(path));
+  const [[exists], current] = await Promise.all([cached.exists(), generation || generationOf(bucket, path)]);
+  if (!exists) return null;
+  const [buffer] = await cached.download();
+  const record = JSON.parse(buffer.toString('utf8'));
+  return record.generation === current ? record : null;
+};
+
+const savePageText = (bucket, record) => bucket.file(pageTextPath(record.path)).save(JSON.stringify(record), {
+  contentType: 'application/json',
+  resumable: false,
+});
+
+// Brings the page text of a resolved file { name, path } as far as the deadline allows and returns
+// the record. onProgress runs after each saved step so callers can refresh their heartbeat; a record
+// with ocrPending left was stopped by the deadline and continues from there next time.
+const extractPageText = async (bucket, file, diagnostics, { deadline = Infinity, onProgress = async () => {} } = {}) => {
+  const generation = await generationOf(bucket, file.path);
+  let record = await loadPageText(bucket, file.path, generation);
+  let downloaded = null;
+  if (record) {
+    diagnostics.push(`PAGE TEXT: reusing the extracted text of ${file.name}${record.ocrPending.length ? ` (${record.ocrPending.length} image pages still to OCR)` : ''}`);
+  } else {
+    downloaded = await downloadSpecFile(bucket, file);
+    const { pages, method } = await extractTextLayer(downloaded, diagnostics);
+    record = {
+      path: file.path,
+      generation,
+      name: file.name,
+      method,
+      pages,
+      ocr: [],
+      ocrPending: method === 'pdf-parse' ? pagesToOcr(file.name, pages, diagnostics) : [],
+    };
+    await savePageText(bucket, record);
+    await onProgress();
+  }
+
+  while (record.ocrPending.length && Date.now() < deadline) {
+    if (!downloaded) downloaded = await downloadSpecFile(bucket, file);
+    const batch = record.ocrPending.slice(0, OCR_BATCH_PAGES);
+    const { pages, ocr } = await ocrImagePages(downloaded, record.pages, diagnostics, batch);
+    const allOcr = [...record.ocr, ...ocr].sort((a, b) => a.page - b.page);
+    record = { ...record, pages, ocr: allOcr, method: pdfMethod(pages, allOcr), ocrPending: record.ocrPending.slice(batch.length) };
+    await savePageText(bucket, record);
+    await onProgress();
+  }
+  return record;
+};
+
+module.exports = { extractPageText, loadPageText, pageTextPath };
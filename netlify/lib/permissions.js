@@ -0,0 +1,105 @@
+// Server-side copy of the role table and permission checks in index.html (userRoles,
+// hasPermission, isUserInTenderTeam). Keep both in sync when roles change.
+
+const USER_ROLES = {
+  'Admin': { name: 'Administrator', permissions: ['all'] },
+  'General Manager': { name: 'General Manager', permissions: ['all'] },
+  'Manager': {
+    name: 'Project Manager',
+    permissions: ['view_all', 'edit_all', 'assign_actions', 'manage_team', 'export_reports', 'create_tenders'],
+  },
+  'Estimator': {
+    name: 'Estimator',
+    permissions: ['view_tenders', 'edit_estimates', 'upload_files', 'add_notes', 'complete_actions'],
+  },
+  'Sales Manager': { name: 'Sales Manager', permissions: ['all'] },
+  'Design Engineer': {
+    name: 'Design Engineer',
+    permissions: ['view_tenders', 'edit_designs', 'upload_files', 'add_notes', 'complete_actions'],
+  },
+  'Planner': {
+    name: 'Planner',
+    permissions: ['view_tenders', 'edit_planning', 'upload_files', 'add_notes', 'complete_actions'],
+  },
+  'Viewer': { name: 'Viewer', permissions: ['view_tenders'] },
+};
+
+// Every permission a role or a custom grant can hold; the security rules are generated from this list
+const PERMISSIONS = [
+  'all',
+  'view_all',
+  'view_tenders',
+  'create_tenders',
+  'edit_all',
+  'edit_estimates',
+  'edit_designs',
+  'edit_planning',
+  'assign_actions',
+  'complete_actions',
+  'manage_team',
+  'manage_rates',
+  'export_reports',
+  'upload_files',
+  'add_notes',
+];
+
+// Who may upload code documents to the code library and have them indexed (storage.rules, codeIndex-background)
+const CODE_LIBRARY_PERMISSIONS = ['edit_all', 'edit_designs', 'edit_estimates'];
+
+// Roles people can pick for themselves when signing up; anything higher is given by an administrator
+const SELF_SIGNUP_ROLES = ['Estimator', 'Design Engineer', 'Planner', 'Viewer'];
+
+// Same precedence as the dashboard: explicit deny, explicit grant, then role
+const hasPermission = (userData, permission) => {
+  if (!userData || !userData.role) return false;
+
+  const custom = userData.customPermissions;
+  if (custom) {
+    const granted = custom.granted || [];
+    const denied = custom.denied || [];
+    if (denied.includes(permission)) return false;
+    if (granted.includes(permission) || granted.includes('all')) return true;
+  }
+
+  const role = USER_ROLES[userData.role];
+  if (!role) return false;
+  return role.permissions.includes('all') || role.permissions.includes(permission);
+};
+
+const hasAnyPermission = (userData, permissions) => permissions.some(p => hasPermission(userData, p));
+
+const getUserDisplayNames = (userData) => {
+  const shortName = (userData?.email || '').split('@')[0];
+  return [userData?.fullName, shortName].filter(Boolean);
+};
+
+// Mirrors isUserInTenderTeam: General Managers see everything, others must be on the team
+const isUserInTenderTeam = (tender, userData) => {
+  if (!tender || !userData) return false;
+  if (userData.role === 'General Manager') return true;
+
+  const names = getUserDisplayNames(userData);
+  const teamMembers = [
+    tender.assignedTo,
+    tender.salesManager,
+    tender.designer,
+    tender.planner,
+    ...(tender.estimators || []),
+    ...(tender.salesManagers || []),
+    ...(tender.designers || []),
+    ...(tender.planners || []),
+  ].filter(Boolean);
+
+  return teamMembers.some(member => names.includes(member));
+};
+
+module.exports = {
+  USER_ROLES,
+  PERMISSIONS,
+  SELF_SIGNUP_ROLES,
+  CODE_LIBRARY_PERMISSIONS,
+  hasPermission,
+  hasAnyPermission,
+  isUserInTenderTeam,
+  getUserDisplayNames,
+};
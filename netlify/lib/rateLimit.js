@@ -0,0 +1,31 @@
+// Per-user sliding window rate limit backed by the Realtime Database.
+// Hits are stored under rateLimits/{bucket}/{uid} as a list of epoch ms timestamps.
+
+const { ERROR_CODES, HttpError } = require('./http');
+
+// Records a hit for uid and throws RATE_LIMITED once `limit` hits fall inside `windowMs`
+const consumeRateLimit = async (db, uid, { bucket, limit, windowMs }) => {
+  const now = Date.now();
+  let retryAfter = 0;
+
+  const result = await db.ref(`rateLimits/${bucket}/${uid}`).transaction((current) => {
+    const hits = (Array.isArray(current) ? current : []).filter(t => now - t < windowMs);
+    if (hits.length >= limit) {
+      retryAfter = Math.ceil((hits[0] + windowMs - now) / 1000);
+      return; // abort - leave the stored hits untouched
+    }
+    return [...hits, now];
+  });
+
+  if (!result.committed) {
+    const minutes = Math.max(1, Math.ceil(retryAfter / 60));
+    throw new HttpError(
+      429,
+      ERROR_CODES.RATE_LIMITED,
+      `Rate limit reached (${limit} per ${Math.round(windowMs / 60000)} min). Try again in ${minutes} min.`,
+      { retryAfter }
+    );
+  }
+};
+
+module.exports = { consumeRateLimit };
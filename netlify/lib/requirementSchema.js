@@ -0,0 +1,224 @@
+// Shared schema for extracted spec requirements. The JSON schema is sent to the model as the
+// input of the record_requirements tool; validateRequirements() checks what comes back, repairs
+// what can be repaired without guessing (case, synonyms, stray types) and reports the rest.
+
+const CATEGORIES = [
+  'Design', 'Materials', 'Code', 'Fabrication', 'Testing', 'Documentation', 'Quality', 'Safety', 'Delivery', 'Dimensional',
+];
+const SEVERITIES = ['High', 'Medium', 'Low'];
+
+// Wording models commonly use instead of the enum values (lowercase keys)
+const CATEGORY_SYNONYMS = {
+  material: 'Materials',
+  codes: 'Code',
+  standard: 'Code',
+  standards: 'Code',
+  compliance: 'Code',
+  regulatory: 'Code',
+  welding: 'Fabrication',
+  manufacturing: 'Fabrication',
+  construction: 'Fabrication',
+  test: 'Testing',
+  tests: 'Testing',
+  inspection: 'Testing',
+  'inspection and testing': 'Testing',
+  nde: 'Testing',
+  ndt: 'Testing',
+  documents: 'Documentation',
+  drawings: 'Documentation',
+  qa: 'Quality',
+  qc: 'Quality',
+  'qa/qc': 'Quality',
+  'quality assurance': 'Quality',
+  hse: 'Safety',
+  schedule: 'Delivery',
+  logistics: 'Delivery',
+  shipping: 'Delivery',
+  packing: 'Delivery',
+  dimensions: 'Dimensional',
+  dimension: 'Dimensional',
+  mechanical: 'Design',
+  process: 'Design',
+};
+
+const SEVERITY_SYNONYMS = {
+  critical: 'High',
+  major: 'High',
+  mandatory: 'High',
+  moderate: 'Medium',
+  normal: 'Medium',
+  minor: 'Low',
+  info: 'Low',
+  informational: 'Low',
+};
+
+const REQUIREMENT_JSON_SCHEMA = {
+  type: 'object',
+  properties: {
+    category: { type: 'string', enum: CATEGORIES },
+    severity: { type: 'string', enum: SEVERITIES },
+    requirement: { type: 'string', description: 'Specific requirement with exact values, units and tolerances' },
+    rationale: { type: 'string', description: 'Why this matters for design, cost or compliance' },
+    details: { type: 'string', description: 'Additional technical context' },
+    compliance_ref: { type: 'string', description: 'Code and clause if stated (e.g. ASME VIII-1 UG-27), otherwise empty' },
+    source: {
+      type: 'object',
+      properties: {
+        fileName: { type: 'string' },
+        page: { type: 'integer', minimum: 1 },
+        section: { type: 'string' },
+        quote: { type: 'string', description: 'The sentence stating the requirement, copied verbatim' },
+      },
+      required: ['page', 'quote'],
+    },
+  },
+  required: ['category', 'severity', 'requirement', 'rationale', 'source'],
+};
+
+const TOOL_NAME = 'record_requirements';
+
+const REQUIREMENTS_TOOL = {
+  name: TOOL_NAME,
+  description: 'Record every technical requirement found in the excerpt. Call with an empty list if there are none.',
+  input_schema: {
+    type: 'object',
+    properties: { requirements: { type: 'array', items: REQUIREMENT_JSON_SCHEMA } },
+    required: ['requirements'],
+  },
+};
+
+const matchEnum = (value, allowed, synonyms) => {
+  if (typeof value !== 'string') return null;
+  const key = value.trim().toLowerCase();
+  return allowed.find(a => a.toLowerCase() === key)
+    || synonyms[key]
+    // "Material" / "Design Requirements" style variants
+    || allowed.find(a => a.toLowerCase() === key.replace(/s$/, '') || `${a.toLowerCase()}s` === key)
+    || allowed.find(a => key.split(/[^a-z]+/).includes(a.toLowerCase()))
+    || null;
+};
+
+const asText = (value) => {
+  if (value == null) return '';
+  if (typeof value === 'string') return value.trim();
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  if (Array.isArray(value)) return value.map(asText).filter(Boolean).join('; ');
+  return '';
+};
+
+// Checks one item. Returns { item, repairs: [...], errors: [...] }; the item is only usable when
+// errors is empty. Nothing is defaulted - a missing or unknown category/severity is an error.
+const validateRequirement = (raw) => {
+  const repairs = [];
+  const errors = [];
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { item: null, repairs, errors: ['not an object'] };
+  }
+
+  const text = (field) => {
+    const value = asText(raw[field]);
+    if (raw[field] != null && typeof raw[field] !== 'string') repairs.push(`${field} converted to text`);
+    return value;
+  };
+
+  const item = {
+    category: null,
+    severity: null,
+    requirement: text('requirement'),
+    rationale: text('rationale'),
+    details: text('details'),
+    compliance_ref: text('compliance_ref'),
+  };
+  if (!item.requirement) errors.push('requirement is missing');
+  if (!item.rationale) repairs.push('rationale missing');
+
+  [['category', CATEGORIES, CATEGORY_SYNONYMS], ['severity', SEVERITIES, SEVERITY_SYNONYMS]].forEach(([field, allowed, synonyms]) => {
+    const matched = matchEnum(raw[field], allowed, synonyms);
+    if (!matched) {
+      errors.push(raw[field] == null || raw[field] === '' ? `${field} is missing` : `${field} "${asText(raw[field])}" is not one of ${allowed.join('|')}`);
+    } else {
+      if (matched !== raw[field]) repairs.push(`${field} "${raw[field]}" -> ${matched}`);
+      item[field] = matched;
+    }
+  });
+
+  const source = raw.source && typeof raw.source === 'object' && !Array.isArray(raw.source) ? raw.source : {};
+  if (raw.source != null && source !== raw.source) repairs.push('source was not an object');
+  const page = parseInt(source.page, 10);
+  if (source.page != null && !(page >= 1)) repairs.push(`source.page "${source.page}" dropped`);
+  else if (source.page != null && page !== source.page) repairs.push(`source.page "${source.page}" -> ${page}`);
+  item.source = {
+    ...source,
+    page: page >= 1 ? page : null,
+    section: asText(source.section),
+    quote: asText(source.quote),
+  };
+  if (!item.source.quote) repairs.push('source.quote missing');
+
+  return { item, repairs, errors };
+};
+
+// Validates a batch. Returns { valid, invalid: [{ raw, errors }], repaired: [{ requirement, repairs }] }
+const validateRequirements = (rawItems) => {
+  const valid = [];
+  const invalid = [];
+  const repaired = [];
+  (Array.isArray(rawItems) ? rawItems : []).forEach(raw => {
+    const { item, repairs, errors } = validateRequirement(raw);
+    if (errors.length) {
+      invalid.push({ raw, errors });
+      return;
+    }
+    if (repairs.length) repaired.push({ requirement: item.requirement, repairs });
+    valid.push(item);
+  });
+  return { valid, invalid, repaired };
+};
+
+// Recovers every complete object from a JSON array that may have been cut off mid-way,
+// e.g. '[{"a":1},{"b":2},{"c":' -> [{a:1},{b:2}]
+const salvageJsonArray = (text) => {
+  const start = (text || '').indexOf('[');
+  if (start === -1) return [];
+  const items = [];
+  let depth = 0;
+  let objectStart = -1;
+  let inString = false;
+  let escaped = false;
+  for (let i = start + 1; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (ch === '\\') escaped = true;
+      else if (ch === '"') inString = false;
+      continue;
+    }
+    if (ch === '"') inString = true;
+    else if (ch === '{') {
+      if (depth === 0) objectStart = i;
+      depth++;
+    } else if (ch === '}') {
+      depth--;
+      if (depth === 0 && objectStart !== -1) {
+        try {
+          items.push(JSON.parse(text.slice(objectStart, i + 1)));
+        } catch {
+          // skip a malformed element, keep the rest
+        }
+        objectStart = -1;
+      }
+    } else if (ch === ']' && depth === 0) break;
+  }
+  return items;
+};
+
+module.exports = {
+  CATEGORIES,
+  SEVERITIES,
+  REQUIREMENT_JSON_SCHEMA,
+  REQUIREMENTS_TOOL,
+  TOOL_NAME,
+  validateRequirement,
+  validateRequirements,
+  salvageJsonArray,
+};
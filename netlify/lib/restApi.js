@@ -0,0 +1,107 @@
+// What the REST API (../functions/api.js) and the webhooks (./webhooks.js) send for tenders and
+// spec review runs. These shapes are the v1 contract with outside systems: add fields freely, but
+// renaming or removing one needs a new API version.
+
+const API_VERSION = 'v1';
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 500;
+// Spec review runs that have finished (see JOB_STATUS in ./specReviewJob.js)
+const COMPLETED_SPEC_STATUSES = ['done', 'partial'];
+
+const orNull = (value) => (value === undefined || value === '' ? null : value);
+
+const numberOrNull = (value) => {
+  const number = Number(value);
+  return value === undefined || value === null || value === '' || Number.isNaN(number) ? null : number;
+};
+
+// Single-person fields predate the team lists; both are merged into one list per role
+const teamList = (tender, list, single) => [...new Set([
+  ...(Array.isArray(tender[list]) ? tender[list] : []),
+  tender[single],
+].filter(Boolean))];
+
+const apiTender = (id, tender) => ({
+  id,
+  client: orNull(tender.client),
+  clientId: orNull(tender.clientId),
+  project: orNull(tender.project),
+  status: tender.tenderStatus || 'Active',
+  priority: numberOrNull(tender.priorityNumber),
+  value: numberOrNull(tender.value),
+  poNumber: orNull(tender.poNumber),
+  poValue: numberOrNull(tender.poValue),
+  lossReason: orNull(tender.lossReason),
+  competitor: orNull(tender.competitor),
+  requiresDesign: !!tender.requiresDesign,
+  team: {
+    estimators: teamList(tender, 'estimators', 'assignedTo'),
+    salesManagers: teamList(tender, 'salesManagers', 'salesManager'),
+    designers: teamList(tender, 'designers', 'designer'),
+    planners: teamList(tender, 'planners', 'planner'),
+  },
+  dates: {
+    received: orNull(tender.dateReceived),
+    due: orNull(tender.dueDate),
+    submitted: orNull(tender.submittedAt),
+    won: orNull(tender.wonAt),
+    po: orNull(tender.poDate),
+    lost: orNull(tender.lostAt),
+    statusChanged: orNull(tender.statusChangedAt),
+    created: orNull(tender.createdAt),
+  },
+});
+
+const apiSpecReview = (tenderId, runId, run, { withItems = false } = {}) => {
+  const items = Array.isArray(run.items) ? run.items.filter(Boolean) : [];
+  const review = {
+    id: runId,
+    tenderId,
+    status: run.status || null,
+    codeStandard: orNull(run.codeStandard),
+    equipmentType: orNull(run.equipmentType),
+    provider: orNull(run.provider),
+    model: orNull(run.model),
+    createdAt: orNull(run.createdAt),
+    completedAt: orNull(run.completedAt),
+    files: (run.files || []).filter(Boolean).map(f => ({ name: f.name, status: f.status || null })),
+    requirementCount: items.length,
+  };
+  if (withItems) {
+    review.requirements = items.map((item, index) => ({
+      id: item.id || String(index),
+      category: orNull(item.category),
+      requirement: orNull(item.requirement),
+      complianceRef: orNull(item.compliance_ref),
+      complianceStatus: orNull(item.complianceStatus),
+      rationale: orNull(item.rationale),
+      source: item.source
+        ? { fileName: orNull(item.source.fileName), page: numberOrNull(item.source.page), quote: orNull(item.source.quote), pageVerified: !!item.source.pageVerified }
+        : null,
+    }));
+  }
+  return review;
+};
+
+// The latest of when the tender was created and when its status last changed
+const changedAt = (tender) => [tender.createdAt, tender.statusChangedAt].filter(Boolean).sort().pop() || null;
+
+// query: { status?, client?, changedSince?, limit?, cursor? } from the query string, as
+// { matches(tender), limit, cursor } for paging through tenders in id order (see ../functions/api.js).
+// cursor is where the previous page stopped.
+const tenderListQuery = (query = {}) => {
+  const statuses = String(query.status || '').split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+  const client = String(query.client || '').trim().toLowerCase();
+  const since = query.changedSince ? String(query.changedSince) : null;
+  const matches = (tender) => !!tender
+    && (!statuses.length || statuses.includes((tender.tenderStatus || 'Active').toLowerCase()))
+    && (!client || String(tender.client || '').toLowerCase().includes(client))
+    && (!since || (changedAt(tender) || '') >= since);
+  return {
+    matches,
+    limit: Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE)),
+    cursor: query.cursor ? String(query.cursor) : null,
+  };
+};
+
+module.exports = { API_VERSION, COMPLETED_SPEC_STATUSES, apiTender, apiSpecReview, tenderListQuery };
@@ -0,0 +1,154 @@
+// Revision comparison jobs. Extracting and OCR'ing two documents does not fit a synchronous function,
+// so compareRevisions queues a job and the Files tab subscribes to its record at
+// revisionCompares/{tenderId}/{compareId} (compareId is "{fromFileId}_{toFileId}"):
+//
+//   status       queued | running | done | failed
+//   from, to     { id, name, revision, pages, method } of the two files
+//   clauses, summary   see ./revisions.js
+//   diagnostics, error, errorCode, heartbeatAt (epoch ms), continuation
+//
+// Page text is checkpointed per file (see ./pageText.js): a job that runs out of time hands over to
+// a fresh invocation, and a pair whose text is already stored is compared straight away.
+// Requires env var: SPEC_REVIEW_JOB_SECRET (shared with the background function)
+
+const { tenderFilePath } = require('./specStorage');
+const { extractPageText, loadPageText } = require('./pageText');
+const { MIN_TEXT_CHARS } = require('./extractText');
+const { compareRevisions } = require('./revisions');
+const { ERROR_CODES } = require('./http');
+
+// Background functions are stopped after 15 minutes - hand over to a fresh invocation before that
+const TIME_BUDGET_MS = 13 * 60 * 1000;
+const MAX_CONTINUATIONS = 3;
+// A queued or running job without a heartbeat for this long was killed and may be queued again
+const STALE_AFTER_MS = 5 * 60 * 1000;
+
+const JOB_STATUS = { QUEUED: 'queued', RUNNING: 'running', DONE: 'done', FAILED: 'failed' };
+
+const compareIdFor = (fromFileId, toFileId) => `${fromFileId}_${toFileId}`;
+
+const isInFlight = (job, now = Date.now()) =>
+  !!job && [JOB_STATUS.QUEUED, JOB_STATUS.RUNNING].includes(job.status) && now - (job.heartbeatAt || 0) <= STALE_AFTER_MS;
+
+const storedFile = (tenderId, file) => ({ name: file.name, path: tenderFilePath(tenderId, file) });
+
+// True when both files' page text is stored in full, so the comparison only takes a moment
+const isTextReady = async (bucket, tenderId, files) => {
+  const records = await Promise.all(files.map(file => loadPageText(bucket, storedFile(tenderId, file).path)));
+  return records.every(record => record && !record.ocrPending.length);
+};
+
+const createCompareRecord = ({ tenderId, fromFileId, toFileId, caller }) => ({
+  id: compareIdFor(fromFileId, toFileId),
+  tenderId,
+  fromFileId: String(fromFileId),
+  toFileId: String(toFileId),
+  status: JOB_STATUS.QUEUED,
+  requestedBy: caller.email,
+  requestedAt: new Date().toISOString(),
+  heartbeatAt: Date.now(),
+  continuation: 0,
+});
+
+// Hands a job to the background function. Netlify answers 202 straight away.
+const enqueueRevisionCompare = async (baseUrl, tenderId, compareId) => {
+  const res = await fetch(`${baseUrl}/.netlify/functions/compareRevisions-background`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'x-spec-review-secret': process.env.SPEC_REVIEW_JOB_SECRET || '' },
+    body: JSON.stringify({ tenderId, compareId }),
+  });
+  if (!res.ok) {
+    throw new Error(`background function returned HTTP ${res.status}`);
+  }
+};
+
+// Scans without a text layer only have text if OCR recovered some
+const noTextMessage = (file, text) => (text.method === 'pdf-parse' && !text.ocr.length
+  ? `${file.name} is a scanned or image-only document and OCR recovered no text from it - ask an administrator to check the OCR set-up, or compare text versions of the files`
+  : `No text could be extracted from ${file.name}`);
+
+// Runs (or continues) one comparison. Returns 'continue' when another invocation should carry on.
+const runRevisionCompareJob = async (firebase, tenderId, compareId) => {
+  const deadline = Date.now() + TIME_BUDGET_MS;
+  const jobRef = firebase.db.ref(`revisionCompares/${tenderId}/${compareId}`);
+  const job = (await jobRef.once('value')).val();
+  if (!job) throw new Error(`Revision comparison ${compareId} not found for ${tenderId}`);
+  if (job.status === JOB_STATUS.DONE) return 'done';
+
+  const [fromFile, toFile] = await Promise.all([job.fromFileId, job.toFileId].map(id =>
+    firebase.db.ref(`tender-files/${tenderId}/${id}`).once('value').then(s => s.val())));
+  const fail = async (errorCode, error, diagnostics) => {
+    await jobRef.update({ status: JOB_STATUS.FAILED, errorCode, error, diagnostics, heartbeatAt: Date.now() });
+    return JOB_STATUS.FAILED;
+  };
+  if (!fromFile || !toFile) {
+    return fail(ERROR_CODES.NOT_FOUND, `File ${fromFile ? job.toFileId : job.fromFileId} is no longer on ${tenderId}`, []);
+  }
+
+  await jobRef.update({ status: JOB_STATUS.RUNNING, heartbeatAt: Date.now() });
+  const diagnostics = [];
+  const texts = [];
+  for (const file of [fromFile, toFile]) {
+    const text = await extractPageText(firebase.bucket, storedFile(tenderId, file), diagnostics, {
+      deadline,
+      onProgress: () => jobRef.update({ heartbeatAt: Date.now() }),
+    });
+    if (text.ocrPending.length) {
+      const continuation = (job.continuation || 0) + 1;
+      if (continuation > MAX_CONTINUATIONS) {
+        return fail(ERROR_CODES.UPSTREAM_ERROR, `${file.name} has too many scanned pages to OCR for a comparison`, diagnostics);
+      }
+      await jobRef.update({ status: JOB_STATUS.QUEUED, continuation, heartbeatAt: Date.now() });
+      return 'continue';
+    }
+    if (text.pages.join('').trim().length < MIN_TEXT_CHARS) {
+      return fail(ERROR_CODES.NO_TEXT, noTextMessage(file, text), diagnostics);
+    }
+    texts.push(text);
+  }
+
+  const [from, to] = texts;
+  const { clauses, summary } = compareRevisions(from.pages, to.pages);
+  const describe = (file, id, text) => ({
+    id,
+    name: file.name,
+    revision: file.revision || null,
+    pages: text.pages.length,
+    method: text.method,
+  });
+  // RTDB rejects undefined values
+  await jobRef.update(JSON.parse(JSON.stringify({
+    status: JOB_STATUS.DONE,
+    from: describe(fromFile, job.fromFileId, from),
+    to: describe(toFile, job.toFileId, to),
+    clauses,
+    summary,
+    diagnostics,
+    error: null,
+    errorCode: null,
+    completedAt: new Date().toISOString(),
+    heartbeatAt: Date.now(),
+  })));
+  return JOB_STATUS.DONE;
+};
+
+// Marks a job failed after an unexpected error so the Files tab can offer to try again
+const failRevisionCompareJob = async (firebase, tenderId, compareId, err) => {
+  await firebase.db.ref(`revisionCompares/${tenderId}/${compareId}`).update({
+    status: JOB_STATUS.FAILED,
+    errorCode: ERROR_CODES.UPSTREAM_ERROR,
+    error: err.message || 'Revision comparison failed',
+    heartbeatAt: Date.now(),
+  });
+};
+
+module.exports = {
+  JOB_STATUS,
+  compareIdFor,
+  isInFlight,
+  isTextReady,
+  createCompareRecord,
+  enqueueRevisionCompare,
+  runRevisionCompareJob,
+  failRevisionCompareJob,
+};
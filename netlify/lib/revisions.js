@@ -0,0 +1,173 @@
+// Clause-level comparison of two revisions of a document, for the Files tab's revision compare.
+// Both files are extracted like spec review files (./extractText), split into clauses at headings
+// and numbered clause lines, matched by clause number (or heading) and diffed word by word.
+
+const { isHeading } = require('./chunking');
+const { displayText } = require('./sourceAnchors');
+
+// "4.2.1 The shell shall..." starts a clause even when the line is a full sentence
+const CLAUSE_NUMBER = /^\s*(\d{1,2}(?:\.\d{1,3}){1,4})\.?\s+\S/;
+const LEADING_NUMBER = /^\s*(\d{1,2}(?:\.\d{1,3}){0,4})\.?\s/;
+// Word diffs beyond this many cells (words x words) fall back to before/after blocks
+const MAX_DIFF_CELLS = 2500000;
+// Unnumbered clauses at least this similar are reported as changed rather than removed + added
+const PAIR_SIMILARITY = 0.5;
+
+const clauseKey = (heading) => {
+  if (!heading) return null;
+  const number = heading.match(LEADING_NUMBER);
+  return number ? number[1] : heading.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+};
+
+// Returns [{ key, heading, page, text }] in document order; key is null for text before any heading
+const splitClauses = (pages) => {
+  const clauses = [];
+  let current = null;
+  const flush = () => {
+    if (!current) return;
+    const text = displayText(current.lines.join('\n'));
+    if (text) clauses.push({ key: clauseKey(current.heading), heading: current.heading, page: current.page, text });
+  };
+
+  pages.forEach((pageText, i) => {
+    for (const line of (pageText || '').split('\n')) {
+      if (!line.trim()) continue;
+      if (!current || isHeading(line) || CLAUSE_NUMBER.test(line)) {
+        const heading = isHeading(line) || CLAUSE_NUMBER.test(line) ? line.trim().slice(0, 120) : null;
+        flush();
+        current = { heading, page: i + 1, lines: [] };
+      }
+      current.lines.push(line);
+    }
+  });
+  flush();
+
+  // Repeated keys (a clause number used in two appendices) are told apart by occurrence
+  const seen = {};
+  return clauses.map(c => {
+    if (!c.key) return c;
+    seen[c.key] = (seen[c.key] || 0) + 1;
+    return seen[c.key] > 1 ? { ...c, key: `${c.key}#${seen[c.key]}` } : c;
+  });
+};
+
+const wordsOf = (text) => text.split(' ').filter(Boolean);
+
+// [{ op: 'same' | 'add' | 'del', text }] turning `before` into `after`, or null when too large
+const diffWords = (before, after) => {
+  const a = wordsOf(before);
+  const b = wordsOf(after);
+  if (a.length * b.length > MAX_DIFF_CELLS) return null;
+
+  // LCS lengths from the end, one row per word of a
+  const width = b.length + 1;
+  const lcs = new Uint32Array((a.length + 1) * width);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i * width + j] = a[i] === b[j]
+        ? lcs[(i + 1) * width + j + 1] + 1
+        : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+    }
+  }
+
+  const ops = [];
+  const push = (op, word) => {
+    const last = ops[ops.length - 1];
+    if (last && last.op === op) last.text += ` ${word}`;
+    else ops.push({ op, text: word });
+  };
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push('same', a[i]);
+      i++;
+      j++;
+    } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+      push('del', a[i++]);
+    } else {
+      push('add', b[j++]);
+    }
+  }
+  while (i < a.length) push('del', a[i++]);
+  while (j < b.length) push('add', b[j++]);
+  return ops;
+};
+
+const similarity = (before, after) => {
+  const a = new Set(wordsOf(before.toLowerCase()));
+  const b = new Set(wordsOf(after.toLowerCase()));
+  if (!a.size || !b.size) return 0;
+  let shared = 0;
+  a.forEach(w => {
+    if (b.has(w)) shared++;
+  });
+  return shared / Math.max(a.size, b.size);
+};
+
+const changedClause = (from, to) => ({
+  status: 'changed',
+  key: to.key,
+  heading: to.heading || from.heading,
+  page: to.page,
+  fromPage: from.page,
+  before: from.text,
+  after: to.text,
+  diff: diffWords(from.text, to.text),
+});
+
+// Compares extracted pages of two revisions. Returns { clauses, summary } where clauses follow the
+// newer revision's order with removed clauses placed after their old predecessor. Unchanged clauses
+// are listed without their text.
+const compareRevisions = (fromPages, toPages) => {
+  const from = splitClauses(fromPages);
+  const to = splitClauses(toPages);
+  const fromByKey = new Map(from.filter(c => c.key).map(c => [c.key, c]));
+  const matched = new Map(); // from clause -> result for it
+
+  const results = to.map(clause => {
+    const previous = clause.key ? fromByKey.get(clause.key) : from.find(c => !c.key && !matched.has(c) && c.text === clause.text);
+    if (!previous || matched.has(previous)) return { clause, result: null };
+    const result = previous.text === clause.text
+      ? { status: 'unchanged', key: clause.key, heading: clause.heading, page: clause.page }
+      : changedClause(previous, clause);
+    matched.set(previous, result);
+    return { clause, result };
+  });
+
+  // Unnumbered text that moved or was reworded is paired by shared words
+  const unmatchedFrom = from.filter(c => !matched.has(c));
+  results.forEach(entry => {
+    if (entry.result || entry.clause.key) return;
+    const best = unmatchedFrom
+      .filter(c => !c.key && !matched.has(c))
+      .map(c => ({ c, score: similarity(c.text, entry.clause.text) }))
+      .sort((x, y) => y.score - x.score)[0];
+    if (best && best.score >= PAIR_SIMILARITY) {
+      entry.result = changedClause(best.c, entry.clause);
+      matched.set(best.c, entry.result);
+    }
+  });
+
+  const clauses = results.map(({ clause, result }) => result || {
+    status: 'added', key: clause.key, heading: clause.heading, page: clause.page, after: clause.text,
+  });
+
+  // Removed clauses go in after the nearest earlier clause that still exists
+  from.forEach((clause, index) => {
+    if (matched.has(clause)) return;
+    const removed = { status: 'removed', key: clause.key, heading: clause.heading, fromPage: clause.page, before: clause.text };
+    const anchor = from.slice(0, index).reverse().find(c => matched.has(c));
+    const at = anchor ? clauses.indexOf(matched.get(anchor)) + 1 : 0;
+    clauses.splice(at, 0, removed);
+    matched.set(clause, removed);
+  });
+
+  const summary = { added: 0, removed: 0, changed: 0, unchanged: 0 };
+  clauses.forEach(c => {
+    summary[c.status]++;
+  });
+  return { clauses, summary };
+};
+
+module.exports = { splitClauses, diffWords, compareRevisions };
@@ -0,0 +1,324 @@
+// Global search over tenders, chat, file names, notes and spec review requirements.
+// The index is split so a search only downloads the documents of tenders the caller can see:
+//
+//   searchIndex/{tenderId} = { indexedAt, tender, specRun }: tender holds the fields filters and
+//                            isUserInTenderTeam need, specRun { id, createdAt } is the spec review run
+//                            whose items are indexed
+//   searchDocs/{tenderId}  = { [docKey]: { type, title, text, at, ref } }: ref says which tab and item
+//                            the result opens
+//   searchQueue/{tenderId} = epoch ms of the last change to the tender's searchable data
+//
+// The dashboard and the functions mark a tender in searchQueue whenever they change its record, chat or
+// files, and a finished spec review records its run in specRun. The searchIndex schedule only reads
+// the queued tenders - the indexed fields of the record rather than the whole node, so spec review
+// partials and other large children are never downloaded - and clears each mark it has handled.
+// Its first run queues every tender once, from a shallow listing of tenders/ (searchIndexState/seededAt).
+// The search function scores the documents of the tenders the caller's team can see.
+
+const { isUserInTenderTeam } = require('./permissions');
+
+const SEARCH_TYPES = ['tender', 'message', 'file', 'note', 'requirement'];
+const TEAM_FIELDS = ['assignedTo', 'salesManager', 'designer', 'planner', 'estimators', 'salesManagers', 'designers', 'planners'];
+// Read for a queued tender instead of the whole record (see buildTenderDocs and tenderMeta)
+const INDEXED_FIELDS = ['client', 'project', 'tenderStatus', 'poNumber', 'competitor', 'lossReason', 'notes', 'tasks', 'createdAt', 'updatedAt', ...TEAM_FIELDS];
+// Tenders indexed per run; the rest stay queued for the next one
+const MAX_TENDERS_PER_RUN = 200;
+const MAX_DOC_TEXT = 4000;
+const TYPE_WEIGHTS = { tender: 1.5, file: 1.3, requirement: 1.2, note: 1.1, message: 1 };
+const RECENCY_DAYS = 90;
+const SNIPPET_CHARS = 160;
+
+const docKey = (text) => String(text).replace(/[.#$\[\]\/]/g, '_');
+
+const clip = (text) => String(text || '').replace(/\s+/g, ' ').trim().slice(0, MAX_DOC_TEXT);
+
+const toMs = (value) => {
+  if (typeof value === 'number') return value;
+  const parsed = Date.parse(value || '');
+  return Number.isNaN(parsed) ? null : parsed;
+};
+
+// Index documents for one tender, its chat and files, and the spec run { id, createdAt, items } in specRun
+const buildTenderDocs = (tenderId, tender, messages = {}, files = {}, run = null) => {
+  const docs = {};
+  const createdAt = toMs(tender.createdAt);
+  const tasks = Object.values(tender.tasks || {}).filter(Boolean);
+
+  docs.tender = {
+    type: 'tender',
+    title: [tenderId, tender.client, tender.project].filter(Boolean).join(' - '),
+    text: clip([
+      tenderId, tender.client, tender.project, tender.tenderStatus, tender.poNumber, tender.competitor, tender.lossReason,
+      ...tasks.map(t => t.title),
+    ].filter(Boolean).join(' · ')),
+    at: createdAt,
+    ref: { tab: 'details' },
+  };
+
+  if (tender.notes && String(tender.notes).trim()) {
+    docs.note = { type: 'note', title: `Notes on ${tenderId}`, text: clip(tender.notes), at: toMs(tender.updatedAt) || createdAt, ref: { tab: 'notes' } };
+  }
+
+  Object.entries(messages || {}).forEach(([id, message]) => {
+    if (!message || !message.text || message.type === 'file') return;
+    docs[docKey(`m_${id}`)] = {
+      type: 'message',
+      title: `${message.sender || 'Someone'} in ${tenderId} chat`,
+      text: clip(`${message.sender || ''}: ${message.text}`),
+      at: toMs(message.timestampMs) || toMs(message.timestamp),
+      ref: { tab: 'chat', messageId: message.id || id },
+    };
+  });
+
+  Object.entries(files || {}).forEach(([id, file]) => {
+    if (!file || !file.name) return;
+    docs[docKey(`f_${id}`)] = {
+      type: 'file',
+      title: file.name,
+      text: clip([file.name, file.revision ? `Rev ${file.revision}` : null, file.uploadedBy].filter(Boolean).join(' · ')),
+      at: toMs(file.timestampMs),
+      ref: { tab: 'files', fileId: String(file.id ?? id), folderId: file.folderId || null },
+    };
+  });
+
+  (run?.items || []).forEach((item, index) => {
+    if (!item || !item.requirement) return;
+    const itemId = item.id || String(index);
+    docs[docKey(`r_${run.id}_${itemId}`)] = {
+      type: 'requirement',
+      title: `${item.category || 'Requirement'}${item.source?.fileName ? ` - ${item.source.fileName}` : ''}`,
+      text: clip([item.requirement, item.compliance_ref, item.rationale, item.source?.quote].filter(Boolean).join(' · ')),
+      at: toMs(run.createdAt),
+      ref: { tab: 'spec', runId: run.id, itemId },
+    };
+  });
+
+  return docs;
+};
+
+const tenderMeta = (tenderId, tender) => {
+  const meta = { id: tenderId, client: tender.client || '', project: tender.project || '', tenderStatus: tender.tenderStatus || 'Active' };
+  TEAM_FIELDS.forEach(field => {
+    if (tender[field]) meta[field] = tender[field];
+  });
+  return meta;
+};
+
+// ---- Indexing ----
+
+// Marks tenders for the next searchIndex run
+const queueSearchUpdates = (db, tenderIds, now = Date.now()) => {
+  if (!tenderIds.length) return Promise.resolve();
+  return db.ref('searchQueue').update(Object.fromEntries(tenderIds.map(id => [id, now])));
+};
+
+// Records a spec review run whose items should be searchable. An older run that finishes late (e.g.
+// resumed) does not replace a newer one.
+const queueSpecRunForSearch = async (db, tenderId, runId, createdAt) => {
+  await db.ref(`searchIndex/${tenderId}/specRun`).transaction(current => (
+    current && String(current.createdAt || '') > String(createdAt || '') ? undefined : { id: runId, createdAt: createdAt || null }
+  ));
+  await queueSearchUpdates(db, [tenderId]);
+};
+
+const readValue = (db, path) => db.ref(path).once('value').then(s => s.val());
+
+// The indexed fields of tenders/{tenderId}, or null when the tender no longer exists
+const loadIndexedFields = async (db, tenderId) => {
+  const values = await Promise.all(INDEXED_FIELDS.map(field => readValue(db, `tenders/${tenderId}/${field}`)));
+  const tender = {};
+  INDEXED_FIELDS.forEach((field, i) => {
+    if (values[i] !== null) tender[field] = values[i];
+  });
+  if (Object.keys(tender).length) return tender;
+  // One child is enough to tell a tender without any indexed field from a deleted one
+  const any = await db.ref(`tenders/${tenderId}`).orderByKey().limitToFirst(1).once('value');
+  return any.exists() ? tender : null;
+};
+
+// Spec reviews that finished before the tender was first indexed never recorded their run: find the
+// newest run with items from the run ids and creation times, without reading the runs themselves
+const findSpecRun = async (db, listKeys, tenderId) => {
+  const runIds = await listKeys(`tenders/${tenderId}/specReviews`);
+  const runs = await Promise.all(runIds.map(async id => ({ id, createdAt: await readValue(db, `tenders/${tenderId}/specReviews/${id}/createdAt`) })));
+  runs.sort((a, b) => String(b.createdAt || '').localeCompare(String(a.createdAt || '')));
+  for (const run of runs) {
+    const items = await readValue(db, `tenders/${tenderId}/specReviews/${run.id}/items`);
+    if (Array.isArray(items) && items.length) return { id: run.id, createdAt: run.createdAt || null };
+  }
+  return null;
+};
+
+const indexTender = async (db, listKeys, tenderId, now) => {
+  const [tender, messages, files, entry] = await Promise.all([
+    loadIndexedFields(db, tenderId),
+    readValue(db, `tender-messages/${tenderId}`),
+    readValue(db, `tender-files/${tenderId}`),
+    readValue(db, `searchIndex/${tenderId}`),
+  ]);
+  if (!tender) {
+    // specRun stays for a tender in the trash, so its requirements are found again once it is restored
+    const updates = { [`searchIndex/${tenderId}/indexedAt`]: null, [`searchIndex/${tenderId}/tender`]: null, [`searchDocs/${tenderId}`]: null };
+    return { removed: true, updates };
+  }
+  const found = !entry?.specRun && !entry?.indexedAt ? await findSpecRun(db, listKeys, tenderId) : null;
+  const specRun = entry?.specRun || found;
+  const items = specRun?.id ? await readValue(db, `tenders/${tenderId}/specReviews/${specRun.id}/items`) : null;
+  const run = Array.isArray(items) ? { ...specRun, items } : null;
+  const updates = {
+    [`searchIndex/${tenderId}/indexedAt`]: now,
+    [`searchIndex/${tenderId}/tender`]: tenderMeta(tenderId, tender),
+    [`searchDocs/${tenderId}`]: buildTenderDocs(tenderId, tender, messages, files, run),
+  };
+  // Otherwise specRun is left alone - a spec review may record a newer run while this one is indexed
+  if (found) updates[`searchIndex/${tenderId}/specRun`] = found;
+  return { removed: false, updates };
+};
+
+// Queues every tender once, so the ones that existed before search was set up become searchable
+const seedSearchQueue = async (db, listKeys, now) => {
+  const updates = { 'searchIndexState/seededAt': now };
+  (await listKeys('tenders')).forEach(tenderId => {
+    updates[`searchQueue/${tenderId}`] = now;
+  });
+  await db.ref().update(updates);
+};
+
+// Indexes the queued tenders, oldest mark first, and drops the entries of deleted ones. A mark that
+// moved on while its tender was being indexed stays queued for the next run. listKeys(path) resolves
+// to the child keys at path without their data (see shallowKeys in ./firebaseAdmin.js).
+// Returns { indexed, removed, pending }.
+const refreshSearchIndex = async (db, listKeys, now = Date.now()) => {
+  if (!(await readValue(db, 'searchIndexState/seededAt'))) await seedSearchQueue(db, listKeys, now);
+  const queue = (await readValue(db, 'searchQueue')) || {};
+  const queued = Object.entries(queue)
+    .sort(([, a], [, b]) => a - b)
+    .slice(0, MAX_TENDERS_PER_RUN);
+  let indexed = 0;
+  let removed = 0;
+
+  for (const [tenderId, markedAt] of queued) {
+    const result = await indexTender(db, listKeys, tenderId, now);
+    await db.ref().update(result.updates);
+    await db.ref(`searchQueue/${tenderId}`).transaction(current => (current === markedAt ? null : current));
+    if (result.removed) removed++;
+    else indexed++;
+  }
+  return { indexed, removed, pending: Object.keys(queue).length - queued.length };
+};
+
+// ---- Querying ----
+
+const tokenize = (text) => (String(text || '').toLowerCase().match(/[a-z0-9]+/g) || []);
+
+// "quoted phrases" must appear as written, other words may appear anywhere in the document
+const parseQuery = (q) => {
+  const phrases = [];
+  const rest = String(q || '').replace(/"([^"]+)"/g, (_, phrase) => {
+    const words = tokenize(phrase);
+    if (words.length) phrases.push(words.join(' '));
+    return ' ';
+  });
+  const terms = [...new Set([...tokenize(rest), ...phrases.flatMap(p => p.split(' '))])];
+  return { terms, phrases };
+};
+
+// 1 for a whole word, 0.5 when only the start of a word matches (terms of 3+ characters)
+const termWeight = (tokens, term) => {
+  let best = 0;
+  for (const token of tokens) {
+    if (token === term) return 1;
+    if (term.length >= 3 && token.startsWith(term)) best = 0.5;
+  }
+  return best;
+};
+
+const snippetFor = (text, terms) => {
+  const lower = text.toLowerCase();
+  const first = terms.map(t => lower.indexOf(t)).filter(i => i >= 0).sort((a, b) => a - b)[0] || 0;
+  const start = Math.max(0, first - Math.floor(SNIPPET_CHARS / 3));
+  const end = Math.min(text.length, start + SNIPPET_CHARS);
+  return `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+};
+
+// Ids of the searchIndex entries on the user's team that pass the status and client filters
+const searchableTenderIds = (index, userData, filters = {}) => {
+  const client = String(filters.client || '').trim().toLowerCase();
+  return Object.entries(index || {})
+    .filter(([, entry]) => {
+      const tender = entry?.tender;
+      if (!tender || !isUserInTenderTeam(tender, userData)) return false;
+      if (filters.status && tender.tenderStatus !== filters.status) return false;
+      return !client || tender.client.toLowerCase().includes(client);
+    })
+    .map(([tenderId]) => tenderId);
+};
+
+// index: searchIndex entries; docs: { [tenderId]: searchDocs entry } for (at least) the searchable ones.
+// filters: { types?, status?, client?, from?, to? } with from/to as YYYY-MM-DD.
+// Returns { results: [{ tenderId, tender, type, title, snippet, at, ref, score }], total, terms }
+const runSearch = (index, docs, userData, q, filters = {}, { limit = 50, now = Date.now() } = {}) => {
+  const { terms, phrases } = parseQuery(q);
+  if (!terms.length) return { results: [], total: 0, terms };
+
+  const types = (filters.types || []).filter(t => SEARCH_TYPES.includes(t));
+  const from = filters.from ? toMs(`${filters.from}T00:00:00Z`) : null;
+  const to = filters.to ? toMs(`${filters.to}T23:59:59Z`) : null;
+
+  const candidates = [];
+  searchableTenderIds(index, userData, filters).forEach(tenderId => {
+    const { tender } = index[tenderId];
+    Object.values(docs[tenderId] || {}).forEach(doc => {
+      if (!doc || (types.length && !types.includes(doc.type))) return;
+      if ((from || to) && (!doc.at || (from && doc.at < from) || (to && doc.at > to))) return;
+      candidates.push({ tenderId, tender, doc, tokens: tokenize(`${doc.title} ${doc.text}`) });
+    });
+  });
+
+  // Rarer words count for more, across the documents this user can see
+  const documentFrequency = {};
+  terms.forEach(term => {
+    documentFrequency[term] = candidates.filter(c => termWeight(c.tokens, term) > 0).length;
+  });
+
+  const results = [];
+  candidates.forEach(({ tenderId, tender, doc, tokens }) => {
+    const joined = tokens.join(' ');
+    if (phrases.some(p => !joined.includes(p))) return;
+    let score = 0;
+    for (const term of terms) {
+      const weight = termWeight(tokens, term);
+      if (!weight) return;
+      const count = tokens.filter(t => t === term).length;
+      score += weight * Math.log(1 + candidates.length / documentFrequency[term]) * (1 + Math.log(1 + count) / 2);
+    }
+    if (terms.length > 1 && joined.includes(terms.join(' '))) score *= 1.5;
+    if (tokenize(doc.title).some(t => terms.includes(t))) score *= 1.2;
+    score *= TYPE_WEIGHTS[doc.type] || 1;
+    if (doc.at) score *= 1 + 0.25 * Math.exp(-Math.max(0, now - doc.at) / (RECENCY_DAYS * 24 * 60 * 60 * 1000));
+    results.push({
+      tenderId,
+      tender: { id: tender.id, client: tender.client, project: tender.project, tenderStatus: tender.tenderStatus },
+      type: doc.type,
+      title: doc.title,
+      snippet: snippetFor(doc.text, terms),
+      at: doc.at || null,
+      ref: doc.ref,
+      score: Math.round(score * 1000) / 1000,
+    });
+  });
+
+  results.sort((a, b) => b.score - a.score || (b.at || 0) - (a.at || 0));
+  return { results: results.slice(0, limit), total: results.length, terms };
+};
+
+module.exports = {
+  SEARCH_TYPES,
+  buildTenderDocs,
+  queueSearchUpdates,
+  queueSpecRunForSearch,
+  refreshSearchIndex,
+  parseQuery,
+  searchableTenderIds,
+  runSearch,
+};
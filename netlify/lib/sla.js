@@ -0,0 +1,178 @@
+// Due-date SLA rules for tenders and their tasks, used by the slaCheck schedule and the calendar feed.
+// slaSettings (admin-managed): { thresholdDays: [5, 2], escalationRoles: ['Sales Manager', 'General Manager'] }
+// Every level a subject reaches (due-5d, due-2d, overdue) is notified once per due date; what has
+// been sent is kept under slaState/{tenderId}/{subject} = { level, dueDate, at }, so moving the due
+// date starts over. Notifications are delivered through ./notify by each user's due_soon preferences.
+
+const { getUserDisplayNames } = require('./permissions');
+const { deliverNotifications, emailKey } = require('./notify');
+
+const DEFAULT_SLA_SETTINGS = {
+  thresholdDays: [5, 2],
+  escalationRoles: ['Sales Manager', 'General Manager'],
+};
+
+const CLOSED_STATES = ['Won', 'Lost', 'Cancelled'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const settingsWithDefaults = (stored) => {
+  const thresholds = (stored?.thresholdDays || DEFAULT_SLA_SETTINGS.thresholdDays)
+    .map(Number)
+    .filter(n => Number.isInteger(n) && n > 0);
+  return {
+    thresholdDays: [...new Set(thresholds)].sort((a, b) => b - a),
+    escalationRoles: stored?.escalationRoles || DEFAULT_SLA_SETTINGS.escalationRoles,
+  };
+};
+
+// YYYY-MM-DD of `now` in timeZone; due dates are plain dates in the office's zone
+const localDate = (now, timeZone) => new Intl.DateTimeFormat('en-CA', {
+  timeZone, year: 'numeric', month: '2-digit', day: '2-digit',
+}).format(now);
+
+const isIsoDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '');
+
+const daysUntil = (today, dueDate) => Math.round((Date.parse(`${dueDate}T00:00:00Z`) - Date.parse(`${today}T00:00:00Z`)) / DAY_MS);
+
+// 'overdue', 'due-{n}d' for the tightest threshold reached, or null while the date is further out
+const slaLevel = (dueDate, today, thresholdDays) => {
+  if (!isIsoDate(dueDate)) return null;
+  const days = daysUntil(today, dueDate);
+  if (days < 0) return 'overdue';
+  const reached = thresholdDays.filter(t => days <= t);
+  return reached.length ? `due-${Math.min(...reached)}d` : null;
+};
+
+// Higher is more urgent
+const levelRank = (level) => {
+  if (!level) return -Infinity;
+  if (level === 'overdue') return Infinity;
+  return -parseInt(level.slice(4), 10);
+};
+
+const tenderTeamNames = (tender) => [
+  tender.assignedTo,
+  tender.salesManager,
+  tender.designer,
+  tender.planner,
+  ...(tender.estimators || []),
+  ...(tender.salesManagers || []),
+  ...(tender.designers || []),
+  ...(tender.planners || []),
+].filter(Boolean);
+
+const openTenderTasks = (tender) => Object.values(tender.tasks || {}).filter(task => task && task.status !== 'done');
+
+const dayText = (n) => `${n} day${n === 1 ? '' : 's'}`;
+
+const describe = (subject, level, days) => {
+  const when = level === 'overdue' ? `overdue by ${dayText(-days)}` : days === 0 ? 'due today' : `due in ${dayText(days)}`;
+  return subject.task
+    ? { title: `Task ${when}`, body: `"${subject.task.title}" on ${subject.tenderId} is due ${subject.dueDate}` }
+    : { title: `Bid ${when}`, body: `${subject.tenderId} ${subject.tender.client || ''} - ${subject.tender.project || ''} is due ${subject.dueDate}` };
+};
+
+// Works out which notifications are due now. Returns { alerts: [{ email, notification }], stateUpdates }
+// where stateUpdates are paths under slaState.
+const evaluateSla = ({ tenders = {}, users = {}, state = {}, settings, today, now = Date.now() }) => {
+  const activeUsers = Object.values(users).filter(u => u && u.email && u.isActive !== false);
+  const usersNamed = (names) => activeUsers.filter(u => getUserDisplayNames(u).some(n => names.includes(n)));
+  const escalationUsers = activeUsers.filter(u => settings.escalationRoles.includes(u.role));
+  const alerts = [];
+  const stateUpdates = {};
+
+  Object.entries(tenders).forEach(([tenderId, tender]) => {
+    if (!tender) return;
+    if (CLOSED_STATES.includes(tender.tenderStatus)) {
+      if (state[tenderId]) stateUpdates[tenderId] = null;
+      return;
+    }
+
+    const subjects = [
+      { key: 'tender', tenderId, tender, dueDate: tender.dueDate, names: tenderTeamNames(tender) },
+      ...openTenderTasks(tender).map(task => ({
+        key: `task-${task.id}`, tenderId, tender, task, dueDate: task.dueDate, names: task.assignees || [],
+      })),
+    ];
+
+    subjects.forEach(subject => {
+      const level = slaLevel(subject.dueDate, today, settings.thresholdDays);
+      const previous = state[tenderId]?.[subject.key];
+      const sent = previous && previous.dueDate === subject.dueDate ? previous.level : null;
+      if (!level || levelRank(level) <= levelRank(sent)) return;
+
+      stateUpdates[`${tenderId}/${subject.key}`] = { level, dueDate: subject.dueDate, at: new Date(now).toISOString() };
+      const days = daysUntil(today, subject.dueDate);
+      const { title, body } = describe(subject, level, days);
+      const base = {
+        tenderRef: tenderId,
+        dueDate: subject.dueDate,
+        level,
+        createdAt: now,
+        read: false,
+        ...(subject.task ? { taskId: subject.task.id } : {}),
+      };
+      const id = emailKey(`sla_${tenderId}_${subject.key}_${level}_${subject.dueDate}`);
+
+      const recipients = usersNamed(subject.names);
+      recipients.forEach(u => alerts.push({
+        email: u.email,
+        notification: { ...base, id, type: level === 'overdue' ? 'sla-overdue' : 'sla-due', title, body },
+      }));
+
+      // Overdue bids also go to the escalation roles, whether or not they are on the team
+      if (level === 'overdue' && !subject.task) {
+        const notified = new Set(recipients.map(u => u.email));
+        escalationUsers.filter(u => !notified.has(u.email)).forEach(u => alerts.push({
+          email: u.email,
+          notification: {
+            ...base,
+            id: `${id}_escalation`,
+            type: 'sla-escalation',
+            title: `Escalation: bid ${tenderId} is overdue`,
+            body: `${body}. Team: ${subject.names.join(', ') || 'nobody assigned'}`,
+          },
+        }));
+      }
+    });
+
+    // Tasks that were completed or deleted no longer need their sent levels
+    Object.keys(state[tenderId] || {}).forEach(key => {
+      if (key !== 'tender' && !subjects.some(s => s.key === key)) stateUpdates[`${tenderId}/${key}`] = null;
+    });
+  });
+
+  return { alerts, stateUpdates };
+};
+
+// Reads everything, delivers the notifications that are due and records them. Returns the alert count.
+const runSlaCheck = async (db, now = new Date()) => {
+  const [tenders, users, state, stored] = await Promise.all(
+    ['tenders', 'users', 'slaState', 'slaSettings'].map(path => db.ref(path).once('value').then(s => s.val()))
+  );
+  const settings = settingsWithDefaults(stored);
+  const today = localDate(now, process.env.SLA_TIMEZONE || 'Australia/Sydney');
+  const { alerts, stateUpdates } = evaluateSla({ tenders: tenders || {}, users: users || {}, state: state || {}, settings, today, now: now.getTime() });
+
+  const updates = {};
+  Object.entries(stateUpdates).forEach(([path, value]) => {
+    updates[`slaState/${path}`] = value;
+  });
+  if (Object.keys(updates).length) await db.ref().update(updates);
+  if (alerts.length) await deliverNotifications(db, users || {}, alerts);
+  return alerts.length;
+};
+
+module.exports = {
+  DEFAULT_SLA_SETTINGS,
+  CLOSED_STATES,
+  settingsWithDefaults,
+  localDate,
+  isIsoDate,
+  slaLevel,
+  tenderTeamNames,
+  openTenderTasks,
+  evaluateSla,
+  runSlaCheck,
+};
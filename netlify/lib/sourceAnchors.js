@@ -0,0 +1,100 @@
+// Source anchors for extracted requirements. The model is asked for the page and a verbatim quote;
+// both are checked against the extracted page text so the Spec tab can open the spec at the right
+// page and highlight the sentence. Unmatched anchors are kept but marked pageVerified: false.
+
+const MIN_QUOTE_CHARS = 12;
+const FUZZY_THRESHOLD = 0.8;
+
+// Whitespace-collapsed text with typographic quotes/dashes flattened. foldText only lowercases it,
+// so an index into the folded text is also an index into the display text.
+const displayText = (text) => (text || '')
+  .replace(/[‘’‚′]/g, "'")
+  .replace(/[“”„″]/g, '"')
+  .replace(/[‐-―]/g, '-')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const foldText = (text) => displayText(text).toLowerCase();
+
+const wordsOf = (text) => displayText(text).split(' ').filter(Boolean);
+const wordKey = (w) => w.toLowerCase().replace(/[^a-z0-9.]/g, '').replace(/\.+$/, '');
+
+// Best window of page words with the same length as the quote, scored by shared word keys
+const fuzzyLocate = (pageText, quote) => {
+  const quoteKeys = wordsOf(quote).map(wordKey).filter(Boolean);
+  const pageWords = wordsOf(pageText);
+  if (!quoteKeys.length || pageWords.length < quoteKeys.length) return null;
+
+  const wanted = new Map();
+  quoteKeys.forEach(k => wanted.set(k, (wanted.get(k) || 0) + 1));
+  const pageKeys = pageWords.map(wordKey);
+  const size = quoteKeys.length;
+  const window = new Map();
+  let shared = 0;
+  const add = (k, delta) => {
+    const before = Math.min(window.get(k) || 0, wanted.get(k) || 0);
+    window.set(k, (window.get(k) || 0) + delta);
+    shared += Math.min(window.get(k), wanted.get(k) || 0) - before;
+  };
+
+  let best = { score: 0, start: 0 };
+  for (let i = 0; i < pageKeys.length; i++) {
+    add(pageKeys[i], 1);
+    if (i >= size) add(pageKeys[i - size], -1);
+    if (i >= size - 1) {
+      const score = shared / size;
+      if (score > best.score) best = { score, start: i - size + 1 };
+    }
+  }
+  if (best.score < FUZZY_THRESHOLD) return null;
+  return { quote: pageWords.slice(best.start, best.start + size).join(' '), score: best.score };
+};
+
+// Finds the quote on one of the candidate pages. Returns { page, quote, match } or null.
+const locateQuote = (pages, quote, candidatePages) => {
+  const folded = foldText(quote);
+  if (folded.length < MIN_QUOTE_CHARS) return null;
+
+  for (const page of candidatePages) {
+    const text = displayText(pages[page - 1]);
+    const at = text.toLowerCase().indexOf(folded);
+    if (at !== -1) return { page, quote: text.slice(at, at + folded.length), match: 'exact' };
+  }
+  let best = null;
+  for (const page of candidatePages) {
+    const hit = fuzzyLocate(pages[page - 1], quote);
+    if (hit && (!best || hit.score > best.score)) best = { page, quote: hit.quote, score: hit.score, match: 'fuzzy' };
+  }
+  return best && { page: best.page, quote: best.quote, match: best.match };
+};
+
+// The model's page first, then the rest of the chunk's page range
+const candidatePagesFor = (claimedPage, chunk, pageCount) => {
+  const range = [];
+  for (let p = chunk.pageStart; p <= chunk.pageEnd; p++) range.push(p);
+  const claimed = Number.isInteger(claimedPage) && claimedPage >= 1 && claimedPage <= pageCount ? [claimedPage] : [];
+  return [...new Set([...claimed, ...range])].filter(p => p >= 1 && p <= pageCount);
+};
+
+// Replaces the model's page/quote with the verified ones. `pages` is the whole document.
+const anchorRequirements = (items, pages, chunk) => items.map(item => {
+  if (!item || typeof item !== 'object') return item;
+  const source = item.source && typeof item.source === 'object' ? item.source : {};
+  const claimedPage = parseInt(source.page, 10);
+  const claimedQuote = typeof source.quote === 'string' ? source.quote : '';
+  const found = claimedQuote
+    ? locateQuote(pages, claimedQuote, candidatePagesFor(claimedPage, chunk, pages.length))
+    : null;
+
+  if (found) {
+    return {
+      ...item,
+      source: { ...source, page: found.page, quote: found.quote, pageVerified: true, quoteMatch: found.match },
+    };
+  }
+  // Keep an in-range page so the viewer still opens near the requirement
+  const page = claimedPage >= chunk.pageStart && claimedPage <= chunk.pageEnd ? claimedPage : chunk.pageStart;
+  return { ...item, source: { ...source, page, quote: claimedQuote || null, pageVerified: false } };
+});
+
+module.exports = { anchorRequirements, locateQuote, displayText };
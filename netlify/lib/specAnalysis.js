@@ -0,0 +1,217 @@
+// Map step of the spec review: prompts the run's LLM provider (./llm) with one chunk at a time.
+// Requirements come back through the record_requirements tool, are validated against
+// ./requirementSchema, and the reply is continued when it hits max_tokens.
+
+const {
+  CATEGORIES, SEVERITIES, REQUIREMENTS_TOOL, TOOL_NAME, validateRequirements, salvageJsonArray,
+} = require('./requirementSchema');
+
+const CHUNK_MAX_TOKENS = parseInt(process.env.SPEC_REVIEW_CHUNK_MAX_TOKENS || '4096', 10);
+// Follow-up requests when a reply is cut off at max_tokens
+const MAX_CONTINUATIONS = parseInt(process.env.SPEC_REVIEW_MAX_CONTINUATIONS || '3', 10);
+
+const codeContext = {
+  australian: {
+    name: "Australian Standards",
+    codes: "AS1210 (Pressure Vessels), AS4458 (Welding), AS1548 (Materials)",
+    focus: "Australian Standards requirements for pressure equipment"
+  },
+  american: {
+    name: "American Standards",
+    codes: "ASME Section VIII (Pressure Vessels), ASME B31.3 (Piping), API Standards",
+    focus: "ASME and API requirements for pressure equipment"
+  },
+  european: {
+    name: "European Standards",
+    codes: "EN 13445 (Pressure Vessels), PED (Pressure Equipment Directive)",
+    focus: "European standards and PED requirements"
+  }
+};
+
+const equipmentContext = {
+  pressure_vessel: "pressure vessel design, construction, and testing",
+  storage_tank: "storage tank design, construction, and integrity",
+  heat_exchanger: "heat exchanger design, thermal performance, and construction",
+  piping: "piping system design, materials, and installation",
+  reactor: "reactor vessel design, process safety, and construction"
+};
+
+const SYSTEM_PROMPT = `You are a mechanical engineer. Extract technical requirements from specifications and record them with the ${TOOL_NAME} tool.`;
+
+// Clauses retrieved from our code library for this chunk, so the model cites clauses we can verify
+const codeClauseContext = (clauses) => (clauses && clauses.length
+  ? `\nCODE CLAUSES IN OUR LIBRARY (cite these exactly in compliance_ref where they apply):\n${clauses
+    .map(c => `- ${c.code} ${c.clause}${c.title ? ` ${c.title}` : ''}: ${c.snippet.slice(0, 160)}`)
+    .join('\n')}\n`
+  : '');
+
+const buildChunkPrompt = (chunk, totalChunks, { codeStandard, equipmentType, codeClauses }) => {
+  const selectedCode = codeContext[codeStandard];
+  const contextInfo = selectedCode && equipmentContext[equipmentType]
+    ? `EQUIPMENT TYPE: ${equipmentType.replace('_', ' ').toUpperCase()} (${equipmentContext[equipmentType]})\nCODE STANDARD: ${selectedCode.name} (${selectedCode.codes})`
+    : 'GENERAL SPECIFICATION REVIEW';
+  const pages = chunk.pageStart === chunk.pageEnd ? `page ${chunk.pageStart}` : `pages ${chunk.pageStart}-${chunk.pageEnd}`;
+  const headings = chunk.headings.length ? `\nSECTIONS: ${chunk.headings.slice(0, 12).join('; ')}` : '';
+
+  return `${contextInfo}
+
+You are reviewing part ${chunk.index + 1} of ${totalChunks} of "${chunk.fileName}" (${pages}).${headings}
+Other parts are reviewed separately, so extract EVERY requirement that appears in this excerpt - do not summarise or skip items because they seem minor.
+Page markers like [Page 12] show where each page starts - give the page the quoted sentence is on.
+${codeClauseContext(codeClauses)}
+EXCERPT:
+${chunk.text}
+
+Record every requirement with the ${TOOL_NAME} tool:
+- category: one of ${CATEGORIES.join(', ')}
+- severity: one of ${SEVERITIES.join(', ')}
+- requirement: specific requirement with exact values, units and tolerances
+- rationale: why this matters for design, cost or compliance
+- details: additional technical context
+- compliance_ref: code and clause if stated or listed above (e.g. ASME VIII-1 UG-27), otherwise empty
+- source: {"fileName": "${chunk.fileName}", "page": 12, "section": "section reference", "quote": "the sentence stating the requirement, copied verbatim from the excerpt"}
+
+Record an empty list if the excerpt has no technical requirements.`;
+};
+
+// Fallback for replies that come back as text instead of a tool call. A reply cut off
+// mid-array still yields every complete element.
+const parseRequirementArray = (response) => {
+  try {
+    const parsed = JSON.parse(response);
+    if (Array.isArray(parsed)) return parsed;
+    if (Array.isArray(parsed?.requirements)) return parsed.requirements;
+  } catch {
+    // fall through to salvage
+  }
+  return salvageJsonArray(response);
+};
+
+const replyItems = (reply) => (Array.isArray(reply.toolInput?.requirements)
+  ? reply.toolInput.requirements
+  : parseRequirementArray(reply.text || ''));
+
+const continuationPrompt = (prompt, recorded) => `${prompt}
+
+Your previous reply was cut off. These requirements are already recorded - do not record them again:
+${recorded.slice(-80).map((text, n) => `${n + 1}. ${text.slice(0, 100)}`).join('\n')}
+
+Record only the requirements from the excerpt that are not in this list.`;
+
+const repairPrompt = (prompt, invalid) => `${prompt}
+
+These requirements you recorded failed validation:
+${invalid.map(({ raw, errors }, n) => `${n + 1}. ${JSON.stringify(raw)}\n   Problems: ${errors.join('; ')}`).join('\n')}
+
+Record only these requirements again, with the problems fixed.`;
+
+// "rationale missing" x3; severity "Critical" -> High
+const summariseNotes = (notes) => {
+  const counts = new Map();
+  notes.forEach(n => counts.set(n, (counts.get(n) || 0) + 1));
+  return [...counts].slice(0, 6).map(([n, c]) => (c > 1 ? `${n} x${c}` : n)).join('; ');
+};
+
+// Calls the model with the requirements tool, validates every item, continues truncated replies
+// and re-requests items that failed validation once. Returns { items, stats } where stats is
+// { repaired, rejected, continuations }; details go to diagnostics under `label`.
+// `llm` is a provider from ./llm; fixtureKey identifies the request for the mock provider.
+const extractRequirements = async (llm, { model, system, prompt, maxTokens, label, fixtureKey }, diagnostics) => {
+  const request = (content, step) => llm.complete({
+    model: model || llm.defaultModel(),
+    system: system || SYSTEM_PROMPT,
+    prompt: content,
+    maxTokens: maxTokens || CHUNK_MAX_TOKENS,
+    tool: REQUIREMENTS_TOOL,
+    label: `${label} ${step}`,
+    fixtureKey: fixtureKey ? `${fixtureKey}\n${step}` : null,
+  });
+
+  const items = [];
+  const repairNotes = [];
+  let repaired = 0;
+  let invalid = [];
+  let continuations = 0;
+  const take = (reply) => {
+    const result = validateRequirements(replyItems(reply));
+    items.push(...result.valid);
+    result.repaired.forEach(r => repairNotes.push(...r.repairs));
+    repaired += result.repaired.length;
+    return result;
+  };
+
+  let reply = await request(prompt, 'initial');
+  invalid = take(reply).invalid;
+  while (reply.truncated) {
+    if (continuations >= MAX_CONTINUATIONS) {
+      diagnostics.push(`TRUNCATED: ${label} - reply still cut off after ${MAX_CONTINUATIONS} continuations, later requirements may be missing`);
+      break;
+    }
+    continuations++;
+    const recorded = [...items, ...invalid.map(i => i.raw)].map(r => r?.requirement).filter(t => typeof t === 'string' && t);
+    reply = await request(continuationPrompt(prompt, recorded), `continuation ${continuations}`);
+    invalid = [...invalid, ...take(reply).invalid];
+  }
+  if (continuations) diagnostics.push(`CONTINUED: ${label} - reply hit max_tokens, ${continuations} continuation(s) requested`);
+
+  // Items without requirement text have nothing to repair; the rest get one re-request
+  const repairable = invalid.filter(i => i.raw && typeof i.raw === 'object' && typeof i.raw.requirement === 'string' && i.raw.requirement.trim());
+  const rejected = invalid.filter(i => !repairable.includes(i));
+  if (repairable.length) {
+    try {
+      const before = items.length;
+      const result = take(await request(repairPrompt(prompt, repairable), 'repair'));
+      const fixed = items.length - before;
+      repairNotes.push(...Array(fixed).fill('re-requested after failing validation'));
+      repaired += fixed - result.repaired.length;
+      rejected.push(...result.invalid);
+      if (fixed + result.invalid.length < repairable.length) {
+        rejected.push(...repairable.slice(fixed + result.invalid.length).map(i => ({ ...i, errors: [...i.errors, 'not returned by repair request'] })));
+      }
+    } catch (e) {
+      diagnostics.push(`SCHEMA: ${label} - repair request failed: ${e.message}`);
+      rejected.push(...repairable);
+    }
+  }
+
+  if (repairNotes.length) diagnostics.push(`SCHEMA REPAIRED: ${label} - ${summariseNotes(repairNotes)}`);
+  rejected.slice(0, 5).forEach(({ raw, errors }) => diagnostics.push(
+    `SCHEMA REJECTED: ${label} - "${String(raw?.requirement || JSON.stringify(raw)).slice(0, 80)}" (${errors.join('; ')})`
+  ));
+  if (rejected.length > 5) diagnostics.push(`SCHEMA REJECTED: ${label} - ${rejected.length - 5} more`);
+
+  return { items, stats: { repaired, rejected: rejected.length, continuations } };
+};
+
+// Analyses one chunk. Returns { items, stats } with validated requirement objects.
+const analyseChunk = (llm, chunk, totalChunks, options, diagnostics) => extractRequirements(llm, {
+  model: options.model,
+  prompt: buildChunkPrompt(chunk, totalChunks, options),
+  label: `${chunk.fileName} #${chunk.index + 1}`,
+  // Excerpt only - recorded replies stay valid when prompt wording or library clauses change
+  fixtureKey: `${chunk.fileName}\n${chunk.text}`,
+}, diagnostics);
+
+// Runs worker over items with at most `limit` in flight; results keep input order
+const runWithConcurrency = async (items, limit, worker) => {
+  const results = new Array(items.length);
+  let next = 0;
+  const lanes = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await worker(items[i], i);
+    }
+  });
+  await Promise.all(lanes);
+  return results;
+};
+
+module.exports = {
+  codeContext,
+  equipmentContext,
+  buildChunkPrompt,
+  parseRequirementArray,
+  extractRequirements,
+  analyseChunk,
+  runWithConcurrency,
+};
@@ -0,0 +1,344 @@
+// Spec review jobs. A job record lives at tenders/{tenderId}/specReviews/{runId} and is what the
+// Spec tab subscribes to:
+//
+//   status       queued | running | partial | done | failed
+//   provider     LLM provider name (see ./llm) and model, chosen when the run is submitted
+//   files[i]     { name, path, status: pending|extracting|analysing|done|partial|failed,
+//                  pages, emptyPages, ocr, chunks, chunksDone, chunksFailed, error }
+//   partials     { '<fileIndex>_<chunk>': { fileIndex, chunk, pageStart, pageEnd, items,
+//                  schema: { repaired, rejected, continuations } } }
+//   failedChunks { '<fileIndex>_<chunk>': { message, pageStart, pageEnd } }
+//   items        merged requirements so far (rewritten after every chunk), with compliance_ref
+//                checked against the code library (see ./codeLibrary.js)
+//   progress     { chunksTotal, chunksDone }, heartbeatAt (epoch ms)
+//
+// Finished chunks are never re-analysed, so a failed or interrupted job resumes from the
+// last completed chunk. Page text and OCR results are checkpointed per file (see ./pageText.js), so
+// a continuation does not extract or OCR a file again.
+// Requires env var: SPEC_REVIEW_JOB_SECRET (shared with the background function)
+
+const { extractPageText } = require('./pageText');
+const { MIN_TEXT_CHARS } = require('./extractText');
+const { LOW_CONFIDENCE: OCR_LOW_CONFIDENCE } = require('./ocr');
+const { chunkDocument } = require('./chunking');
+const { analyseChunk, runWithConcurrency } = require('./specAnalysis');
+const { getProvider } = require('./llm');
+const { mergeRequirements, toResultItems } = require('./mergeRequirements');
+const { loadCodeLibrary, retrieveClauses, attachCodeReferences } = require('./codeLibrary');
+const { anchorRequirements } = require('./sourceAnchors');
+const { queueSpecReviewCompleted } = require('./webhooks');
+const { queueSpecRunForSearch } = require('./search');
+
+const CONCURRENCY = parseInt(process.env.SPEC_REVIEW_CONCURRENCY || '3', 10);
+const MAX_CHUNKS = parseInt(process.env.SPEC_REVIEW_MAX_CHUNKS || '200', 10);
+// Background functions are stopped after 15 minutes - hand over to a fresh invocation before that
+const TIME_BUDGET_MS = parseInt(process.env.SPEC_REVIEW_TIME_BUDGET_MS || String(13 * 60 * 1000), 10);
+const MAX_CONTINUATIONS = 5;
+// A running job without a heartbeat for this long was killed (timeout, deploy, crash)
+const STALE_AFTER_MS = 3 * 60 * 1000;
+// Extraction, OCR and slow LLM calls can each outlast STALE_AFTER_MS, so a timer keeps the heartbeat fresh
+const HEARTBEAT_MS = 60 * 1000;
+
+const JOB_STATUS = { QUEUED: 'queued', RUNNING: 'running', PARTIAL: 'partial', DONE: 'done', FAILED: 'failed' };
+
+const chunkKey = (fileIndex, chunk) => `${fileIndex}_${chunk}`;
+
+// RTDB rejects undefined values
+const clean = (value) => JSON.parse(JSON.stringify(value));
+
+const isStale = (run, now = Date.now()) =>
+  [JOB_STATUS.QUEUED, JOB_STATUS.RUNNING].includes(run.status) && now - (run.heartbeatAt || 0) > STALE_AFTER_MS;
+
+const isResumable = (run) => [JOB_STATUS.FAILED, JOB_STATUS.PARTIAL].includes(run.status) || isStale(run);
+
+const sortedPartials = (partials) => Object.values(partials || {})
+  .sort((a, b) => a.fileIndex - b.fileIndex || a.chunk - b.chunk);
+
+// Per-file coverage from the stored file records and the chunks that finished
+const buildCoverage = (files, partials, items = []) => files.map((file, i) => {
+  const done = sortedPartials(partials).filter(p => p.fileIndex === i);
+  const empty = new Set(file.emptyPages || []);
+  const processed = new Set();
+  done.forEach(p => {
+    for (let page = p.pageStart; page <= p.pageEnd; page++) {
+      if (!empty.has(page)) processed.add(page);
+    }
+  });
+  const pages = file.pages || 0;
+  return {
+    fileName: file.name,
+    method: file.method || null,
+    pages,
+    ocrPages: file.ocr || [],
+    ocrLowConfidence: (file.ocr || []).filter(o => o.confidence != null && o.confidence < OCR_LOW_CONFIDENCE).map(o => o.page),
+    pagesProcessed: processed.size,
+    pagesSkipped: Array.from({ length: pages }, (_, p) => p + 1).filter(p => !processed.has(p)),
+    chunks: file.chunks || 0,
+    chunksAnalysed: done.length,
+    chunksFailed: file.chunksFailed || 0,
+    requirements: items.filter(r => r.source?.fileName === file.name).length,
+  };
+});
+
+// Builds the initial job record written by the submit endpoint
+const createJobRecord = ({ runId, tenderId, files, codeStandard, equipmentType, provider, model, caller }) => clean({
+  id: runId,
+  tenderId,
+  createdAt: new Date().toISOString(),
+  status: JOB_STATUS.QUEUED,
+  codeStandard: codeStandard || null,
+  equipmentType: equipmentType || null,
+  provider: provider || null,
+  model: model || null,
+  runBy: caller.email,
+  source: 'Netlify specReview job',
+  files: files.map(f => ({ name: f.name, path: f.path, url: f.url || null, status: 'pending' })),
+  progress: { chunksTotal: 0, chunksDone: 0 },
+  items: [],
+  diagnostics: [`AUTH: ${caller.email} (${caller.userData.role})`],
+  heartbeatAt: Date.now(),
+  attempts: 0,
+  continuation: 0,
+});
+
+// Resets a failed/partial/stale job so the background function picks it up again
+const prepareResume = (run) => clean({
+  status: JOB_STATUS.QUEUED,
+  error: null,
+  continuation: 0,
+  heartbeatAt: Date.now(),
+  files: run.files.map(f => (f.status === 'done' ? f : { ...f, status: 'pending', error: null })),
+});
+
+// Hands a job to the background function. Netlify answers 202 straight away.
+const enqueueSpecReviewJob = async (baseUrl, tenderId, runId) => {
+  const res = await fetch(`${baseUrl}/.netlify/functions/specReview-background`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'x-spec-review-secret': process.env.SPEC_REVIEW_JOB_SECRET || '' },
+    body: JSON.stringify({ tenderId, runId }),
+  });
+  if (!res.ok) {
+    throw new Error(`background function returned HTTP ${res.status}`);
+  }
+};
+
+// Extracts and analyses the files of a running job until it finishes or the deadline passes
+const analyseRun = async (firebase, { tenderId, runId, run, runRef, llm, deadline }) => {
+  const files = run.files || [];
+  const partials = { ...(run.partials || {}) };
+  const failedChunks = { ...(run.failedChunks || {}) };
+  const diagnostics = run.diagnostics || [];
+  const options = { model: run.model, codeStandard: run.codeStandard, equipmentType: run.equipmentType };
+  let outOfTime = false;
+  let chunkBudget = MAX_CHUNKS;
+
+  let library = null;
+  try {
+    library = await loadCodeLibrary(firebase, run.codeStandard, diagnostics);
+  } catch (err) {
+    diagnostics.push(`CODE LIBRARY ERROR: ${err.message} - compliance references cannot be verified`);
+  }
+
+  let results = run.items || [];
+  const publishProgress = async () => {
+    const { items } = mergeRequirements(sortedPartials(partials).map(p => ({
+      fileName: files[p.fileIndex].name,
+      chunk: p.chunk,
+      key: chunkKey(p.fileIndex, p.chunk),
+      items: p.items,
+    })));
+    results = attachCodeReferences(toResultItems(items), library);
+    await runRef.update(clean({
+      items: results,
+      progress: {
+        chunksTotal: files.reduce((n, f) => n + (f.chunks || 0), 0),
+        chunksDone: Object.keys(partials).length,
+      },
+      heartbeatAt: Date.now(),
+    }));
+  };
+
+  for (let i = 0; i < files.length && !outOfTime; i++) {
+    const file = files[i];
+    if (file.status === 'done') {
+      chunkBudget -= file.chunks || 0;
+      continue;
+    }
+    if (Date.now() > deadline) {
+      outOfTime = true;
+      break;
+    }
+
+    const fileRef = runRef.child(`files/${i}`);
+    let chunks;
+    let pages;
+    try {
+      await fileRef.update({ status: 'extracting', error: null });
+      const extracted = await extractPageText(firebase.bucket, file, diagnostics, {
+        deadline,
+        onProgress: () => runRef.update({ heartbeatAt: Date.now() }),
+      });
+      if (extracted.ocrPending.length) {
+        diagnostics.push(`TIME BUDGET: ${file.name} has ${extracted.ocrPending.length} image pages left to OCR`);
+        outOfTime = true;
+        break;
+      }
+      const { method, ocr } = extracted;
+      pages = extracted.pages;
+      if (pages.join('').trim().length < MIN_TEXT_CHARS) diagnostics.push(`EMPTY TEXT after all attempts for ${file.name}`);
+      chunks = chunkDocument({ name: file.name, pages });
+      Object.assign(file, {
+        method,
+        ocr: ocr.length ? ocr : null,
+        pages: pages.length,
+        emptyPages: pages.map((p, n) => (p.trim() ? null : n + 1)).filter(Boolean),
+        chunks: chunks.length,
+      });
+    } catch (err) {
+      diagnostics.push(`STORAGE ERROR for ${file.name} - ${err.message}`);
+      Object.assign(file, { status: 'failed', error: err.message });
+      await fileRef.set(clean(file));
+      continue;
+    }
+
+    const inBudget = chunks.slice(0, Math.max(0, chunkBudget));
+    if (inBudget.length < chunks.length) {
+      diagnostics.push(`CHUNK BUDGET: ${file.name} - analysing ${inBudget.length} of ${chunks.length} chunks, remaining pages reported as skipped`);
+    }
+    chunkBudget -= inBudget.length;
+    file.status = 'analysing';
+    await fileRef.set(clean(file));
+
+    const pending = inBudget.filter(c => !partials[chunkKey(i, c.index)]);
+    await runWithConcurrency(pending, CONCURRENCY, async (chunk) => {
+      if (Date.now() > deadline) {
+        outOfTime = true;
+        return;
+      }
+      const key = chunkKey(i, chunk.index);
+      try {
+        const codeClauses = retrieveClauses(library, chunk.text, 8, { minShared: 3 });
+        const { items: raw, stats } = await analyseChunk(llm, chunk, chunks.length, { ...options, codeClauses }, diagnostics);
+        const items = anchorRequirements(raw, pages, chunk);
+        partials[key] = { fileIndex: i, chunk: chunk.index, pageStart: chunk.pageStart, pageEnd: chunk.pageEnd, items, schema: stats };
+        delete failedChunks[key];
+        await runRef.child(`partials/${key}`).set(clean(partials[key]));
+        await runRef.child(`failedChunks/${key}`).remove();
+      } catch (e) {
+        console.error('LLM error:', llm.name, file.name, chunk.index, e.message);
+        failedChunks[key] = { message: e.message, pageStart: chunk.pageStart, pageEnd: chunk.pageEnd };
+        diagnostics.push(`CHUNK FAILED: ${file.name} #${chunk.index + 1} (p.${chunk.pageStart}-${chunk.pageEnd}) - ${e.message}`);
+        await runRef.child(`failedChunks/${key}`).set(clean(failedChunks[key]));
+      }
+      await fileRef.update({
+        chunksDone: Object.keys(partials).filter(k => k.startsWith(`${i}_`)).length,
+        chunksFailed: Object.keys(failedChunks).filter(k => k.startsWith(`${i}_`)).length,
+      });
+      await publishProgress();
+    });
+
+    file.chunksDone = inBudget.filter(c => partials[chunkKey(i, c.index)]).length;
+    file.chunksFailed = inBudget.filter(c => failedChunks[chunkKey(i, c.index)]).length;
+    if (!outOfTime) file.status = file.chunksFailed ? 'partial' : 'done';
+    await fileRef.set(clean(file));
+  }
+
+  await publishProgress();
+
+  if (outOfTime) {
+    const continuation = (run.continuation || 0) + 1;
+    if (continuation <= MAX_CONTINUATIONS) {
+      diagnostics.push(`TIME BUDGET: handing over to continuation ${continuation}`);
+      await runRef.update(clean({ status: JOB_STATUS.QUEUED, continuation, diagnostics, heartbeatAt: Date.now() }));
+      return 'continue';
+    }
+    diagnostics.push('TIME BUDGET: continuation limit reached - resume to finish the remaining chunks');
+  }
+
+  const anySucceeded = Object.keys(partials).length > 0;
+  const complete = !outOfTime && files.every(f => f.status === 'done');
+  const status = complete ? JOB_STATUS.DONE : anySucceeded ? JOB_STATUS.PARTIAL : JOB_STATUS.FAILED;
+  const coverage = buildCoverage(files, partials, results);
+  coverage.forEach(c => diagnostics.push(
+    `COVERAGE: ${c.fileName} - ${c.pagesProcessed}/${c.pages} pages processed` +
+    `${c.pagesSkipped.length ? `, skipped p.${c.pagesSkipped.join(', ')}` : ''}` +
+    `, ${c.chunksAnalysed}/${c.chunks} chunks, ${c.requirements} requirements` +
+    `${c.ocrPages.length ? `, ${c.ocrPages.length} pages OCR'd` : ''}` +
+    `${c.ocrLowConfidence.length ? ` (low confidence p.${c.ocrLowConfidence.join(', ')})` : ''}`
+  ));
+  const anchored = results.filter(r => r.source?.pageVerified).length;
+  diagnostics.push(`SOURCE ANCHORS: ${anchored}/${results.length} requirements matched to a quote on the extracted page`);
+  const refCount = (status) => results.filter(r => r.complianceStatus === status).length;
+  const schemaTotal = (field) => sortedPartials(partials).reduce((sum, p) => sum + (p.schema?.[field] || 0), 0);
+  diagnostics.push(`SCHEMA: ${schemaTotal('repaired')} repaired, ${schemaTotal('rejected')} rejected, ${schemaTotal('continuations')} continuations across ${Object.keys(partials).length} chunks`);
+  diagnostics.push(`CODE REFS: ${refCount('verified')} verified, ${refCount('unverified')} unverified, ${refCount('suggested')} suggested from library`);
+
+  await runRef.update(clean({
+    status,
+    coverage,
+    diagnostics,
+    completedAt: new Date().toISOString(),
+    heartbeatAt: Date.now(),
+    error: status === JOB_STATUS.FAILED ? 'No chunk could be analysed - see diagnostics, then resume' : null,
+  }));
+  // A webhook or search update that cannot be queued must not turn a finished review into a failed one
+  await queueSpecReviewCompleted(firebase.db, tenderId, runId).catch(err => console.error('Webhook queue error:', err));
+  if (results.length) {
+    await queueSpecRunForSearch(firebase.db, tenderId, runId, run.createdAt).catch(err => console.error('Search queue error:', err));
+  }
+  return status;
+};
+
+// Runs (or continues) one job until it finishes or the time budget is spent.
+// Returns 'continue' when another invocation should pick up where this one stopped.
+const runSpecReviewJob = async (firebase, tenderId, runId) => {
+  const deadline = Date.now() + TIME_BUDGET_MS;
+  const runRef = firebase.db.ref(`tenders/${tenderId}/specReviews/${runId}`);
+  const run = (await runRef.once('value')).val();
+  if (!run) throw new Error(`Spec review ${runId} not found for ${tenderId}`);
+  if (run.status === JOB_STATUS.DONE) return 'done';
+
+  // Runs queued before providers were selectable have no provider and used Anthropic
+  const llm = getProvider(run.provider || 'anthropic');
+  if (!llm || !llm.isConfigured()) {
+    throw new Error(`LLM provider "${run.provider || 'anthropic'}" is not configured on the server`);
+  }
+
+  await runRef.update({
+    status: JOB_STATUS.RUNNING,
+    startedAt: run.startedAt || new Date().toISOString(),
+    heartbeatAt: Date.now(),
+    attempts: (run.attempts || 0) + 1,
+  });
+
+  const heartbeat = setInterval(() => {
+    runRef.update({ heartbeatAt: Date.now() }).catch(err => console.warn('Spec review heartbeat failed:', err.message));
+  }, HEARTBEAT_MS);
+  try {
+    return await analyseRun(firebase, { tenderId, runId, run, runRef, llm, deadline });
+  } finally {
+    clearInterval(heartbeat);
+  }
+};
+
+// Marks a job failed after an unexpected error so the Spec tab offers a resume
+const failSpecReviewJob = async (firebase, tenderId, runId, err) => {
+  await firebase.db.ref(`tenders/${tenderId}/specReviews/${runId}`).update({
+    status: JOB_STATUS.FAILED,
+    error: err.message || 'Spec review job failed',
+    heartbeatAt: Date.now(),
+  });
+};
+
+module.exports = {
+  JOB_STATUS,
+  STALE_AFTER_MS,
+  isStale,
+  isResumable,
+  createJobRecord,
+  prepareResume,
+  enqueueSpecReviewJob,
+  runSpecReviewJob,
+  failSpecReviewJob,
+  buildCoverage,
+};
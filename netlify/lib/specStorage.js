@@ -0,0 +1,55 @@
+// Server-side access to spec files uploaded from the Spec tab to specs/{tenderId}/ in Storage, or
+// picked from the tender's Files tab (tender-files/{tenderId}/).
+// The browser only names the files; bytes never pass through the client.
+
+const { ERROR_CODES, HttpError } = require('./http');
+
+const specPrefix = (tenderId) => `specs/${tenderId}/`;
+const tenderFilesPrefix = (tenderId) => `tender-files/${tenderId}/`;
+
+// Storage object of a tender-files/{tenderId}/{fileId} record. Older records have no `path`;
+// uploads are stored as tender-files/{tenderId}/{fileId}_{name}
+const tenderFilePath = (tenderId, file) => file.path || `${tenderFilesPrefix(tenderId)}${file.id}_${file.name}`;
+
+// Maps requested [{ name, path? }] to storage objects inside specs/{tenderId}/ or tender-files/{tenderId}/.
+// Older uploads have no `path`, so fall back to the `${timestamp}_${name}` naming convention.
+const resolveSpecFiles = async (bucket, tenderId, requested) => {
+  const prefix = specPrefix(tenderId);
+  let listing = null;
+  const resolved = [];
+
+  for (const f of requested) {
+    if (!f || !f.name) {
+      throw new HttpError(400, ERROR_CODES.BAD_REQUEST, 'Each file needs a name');
+    }
+    if (f.path) {
+      const inTender = f.path.startsWith(prefix) || f.path.startsWith(tenderFilesPrefix(tenderId));
+      if (!inTender || f.path.includes('..')) {
+        throw new HttpError(403, ERROR_CODES.FORBIDDEN, `${f.name} is not a spec file of ${tenderId}`);
+      }
+      resolved.push({ name: f.name, path: f.path });
+      continue;
+    }
+
+    if (!listing) {
+      const [objects] = await bucket.getFiles({ prefix });
+      listing = objects.map(o => o.name);
+    }
+    const match = listing.filter(p => p.endsWith(`_${f.name}`)).sort().pop();
+    if (!match) {
+      throw new HttpError(404, ERROR_CODES.NOT_FOUND, `${f.name} was not found in specs/${tenderId}`);
+    }
+    resolved.push({ name: f.name, path: match });
+  }
+
+  return resolved;
+};
+
+// Downloads one resolved spec file. Returns { name, path, buffer, contentType }.
+const downloadSpecFile = async (bucket, file) => {
+  const object = bucket.file(file.path);
+  const [[buffer], [metadata]] = await Promise.all([object.download(), object.getMetadata()]);
+  return { ...file, buffer, contentType: metadata.contentType || '' };
+};
+
+module.exports = { resolveSpecFiles, downloadSpecFile, specPrefix, tenderFilePath };
@@ -0,0 +1,393 @@
+// Tender creation on the server. VS numbers come from counters/vsNumber, advanced in a transaction,
+// and tenders/{id} is only written while it does not exist, so two people creating tenders at the
+// same time can neither get the same number nor overwrite each other's tender.
+// The createTender and importTenders functions validate their input with validateTenderInput; the
+// import also checks rows against each other and the existing tenders for duplicates. Every tender
+// created here is queued for the tender.created webhook (see ./webhooks.js) and the search index
+// (see ./search.js).
+
+const { getUserDisplayNames } = require('./permissions');
+const { ERROR_CODES, HttpError } = require('./http');
+const { queueTendersCreated } = require('./webhooks');
+const { queueSearchUpdates } = require('./search');
+
+const COUNTER_PATH = 'counters/vsNumber';
+const VS_PATTERN = /^VS(\d+)$/;
+
+// Same as TENDER_STATES, CLOSED_STATES and LOSS_REASONS in index.html
+const TENDER_STATES = ['Active', 'Action Required', 'On Hold', 'Won', 'Lost', 'Cancelled'];
+const CLOSED_STATES = ['Won', 'Lost', 'Cancelled'];
+const LOSS_REASONS = ['Price', 'Delivery time', 'Technical / compliance', 'Client relationship', 'Project cancelled by client', 'Other'];
+
+const TEAM_FIELDS = ['assignedTo', 'salesManager', 'designer', 'planner'];
+const TEAM_LISTS = ['estimators', 'salesManagers', 'designers', 'planners'];
+const TEXT_FIELDS = ['client', 'clientId', 'project', 'poNumber', 'lossReason', 'competitor', 'description', 'location', 'notes'];
+const DATE_FIELDS = { dateReceived: 'Date received', dueDate: 'Due date', submittedAt: 'Submitted', wonAt: 'Won date', lostAt: 'Lost date' };
+const DEFAULT_PRIORITY = 3;
+const NO_ACTION = 'Awaiting Assignment';
+const MAX_ALLOCATION_ATTEMPTS = 5;
+
+const vsNumberOf = (id) => {
+  const match = VS_PATTERN.exec(String(id || ''));
+  return match ? parseInt(match[1], 10) : null;
+};
+
+// ---- VS numbers ----
+
+// Highest VS number in use, counting tenders in the trash so restoring them cannot collide
+const highestVsNumber = async (db) => {
+  const [tenders, trash] = await Promise.all(['tenders', 'trash'].map(path => db.ref(path).once('value').then(s => s.val() || {})));
+  const ids = [
+    ...Object.keys(tenders),
+    ...Object.values(trash).filter(entry => entry && entry.type === 'tender').map(entry => entry.tenderId),
+  ];
+  return Math.max(0, ...ids.map(vsNumberOf).filter(n => n !== null));
+};
+
+// The counter starts from the tenders created before it existed
+const ensureCounter = async (db) => {
+  const ref = db.ref(COUNTER_PATH);
+  if ((await ref.once('value')).val() !== null) return;
+  const highest = await highestVsNumber(db);
+  await ref.transaction(current => (current === null ? highest : undefined));
+};
+
+// Reserves `count` consecutive numbers and returns their ids
+const allocateVsNumbers = async (db, count = 1) => {
+  await ensureCounter(db);
+  const { committed, snapshot } = await db.ref(COUNTER_PATH).transaction(current => (current || 0) + count);
+  if (!committed) throw new Error('VS numbers were not reserved');
+  const last = snapshot.val();
+  return Array.from({ length: count }, (_, i) => `VS${last - count + 1 + i}`);
+};
+
+// A tender created with a number typed in moves the counter past it
+const reserveVsNumber = async (db, id) => {
+  const number = vsNumberOf(id);
+  if (number === null) return;
+  await ensureCounter(db);
+  await db.ref(COUNTER_PATH).transaction(current => Math.max(current || 0, number));
+};
+
+// ---- Validation ----
+
+// YYYY-MM-DD from an ISO date or timestamp, DD/MM/YYYY (MM/DD/YYYY with monthFirst) or an Excel serial day
+const parseDay = (value, { monthFirst = false } = {}) => {
+  const text = String(value ?? '').trim();
+  if (!text) return null;
+  let year;
+  let month;
+  let day;
+  let match;
+  if ((match = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ].*)?$/.exec(text))) {
+    [, year, month, day] = match.map(Number);
+  } else if ((match = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/.exec(text))) {
+    const [first, second] = [Number(match[1]), Number(match[2])];
+    [day, month] = monthFirst ? [second, first] : [first, second];
+    year = match[3].length === 2 ? 2000 + Number(match[3]) : Number(match[3]);
+  } else if (/^\d{5}(\.\d+)?$/.test(text)) {
+    // Days since 1899-12-30, as spreadsheets store dates
+    const date = new Date(Date.UTC(1899, 11, 30) + Math.floor(Number(text)) * 24 * 60 * 60 * 1000);
+    [year, month, day] = [date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate()];
+  } else {
+    return undefined;
+  }
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return undefined;
+  return date.toISOString().slice(0, 10);
+};
+
+// "$1,250,000" or "1 250 000.50" -> number; undefined when it is not a number
+const parseAmount = (value) => {
+  const text = String(value ?? '').replace(/[$€£\s,]|[A-Z]{3}/g, '');
+  if (!text) return null;
+  const amount = Number(text);
+  return Number.isFinite(amount) && amount >= 0 ? amount : undefined;
+};
+
+const parseList = (value) => (Array.isArray(value) ? value : String(value ?? '').split(/[;,]/))
+  .map(name => String(name).trim())
+  .filter(Boolean);
+
+const matchOption = (value, options) => options.find(option => option.toLowerCase() === String(value).trim().toLowerCase());
+
+// Names the team fields can hold: each user's full name and the first part of their email
+const knownUserNames = async (db) => {
+  const users = (await db.ref('users').once('value')).val() || {};
+  return new Set(Object.values(users).flatMap(user => getUserDisplayNames(user)));
+};
+
+// input: one tender as plain values (strings from a spreadsheet are fine).
+// Returns { fields, errors, warnings } where fields only holds the values that passed.
+const validateTenderInput = (input, { knownNames = null, monthFirst = false } = {}) => {
+  const fields = {};
+  const errors = [];
+  const warnings = [];
+
+  const vs = String(input.vsNumber ?? input.id ?? '').trim().toUpperCase();
+  if (vs) {
+    const id = /^\d+$/.test(vs) ? `VS${vs}` : vs;
+    if (vsNumberOf(id) === null) errors.push(`VS number "${vs}" must look like VS1234`);
+    else fields.id = id;
+  }
+
+  TEXT_FIELDS.forEach(field => {
+    const text = String(input[field] ?? '').trim();
+    if (text) fields[field] = text;
+  });
+  if (fields.clientId && !/^[\w-]+$/.test(fields.clientId)) {
+    errors.push('Client id is not valid');
+    delete fields.clientId;
+  }
+  if (!fields.client) errors.push('Client is required');
+  if (!fields.project) errors.push('Project is required');
+
+  const status = String(input.tenderStatus ?? '').trim();
+  fields.tenderStatus = status ? matchOption(status, TENDER_STATES) : 'Active';
+  if (!fields.tenderStatus) {
+    errors.push(`Status "${status}" is not one of ${TENDER_STATES.join(', ')}`);
+    delete fields.tenderStatus;
+  }
+
+  const priority = String(input.priorityNumber ?? '').trim().replace(/^P/i, '');
+  if (!priority) {
+    fields.priorityNumber = DEFAULT_PRIORITY;
+  } else if (/^[1-5]$/.test(priority)) {
+    fields.priorityNumber = Number(priority);
+  } else {
+    errors.push(`Priority "${input.priorityNumber}" must be 1 to 5`);
+  }
+
+  [['value', 'Value'], ['poValue', 'PO value']].forEach(([field, label]) => {
+    const amount = parseAmount(input[field]);
+    if (amount === undefined) errors.push(`${label} "${input[field]}" is not an amount`);
+    else if (amount !== null) fields[field] = field === 'value' ? Math.round(amount) : amount;
+  });
+  if (fields.value === undefined) fields.value = 0;
+
+  Object.entries(DATE_FIELDS).forEach(([field, label]) => {
+    const day = parseDay(input[field], { monthFirst });
+    if (day === undefined) errors.push(`${label} "${input[field]}" is not a date`);
+    else if (day) fields[field] = day;
+  });
+  if (!String(input.dateReceived ?? '').trim()) warnings.push('No date received - today is used');
+  if (fields.dateReceived && fields.dueDate && fields.dueDate < fields.dateReceived) {
+    warnings.push(`Due date ${fields.dueDate} is before the date received ${fields.dateReceived}`);
+  }
+
+  const design = String(input.requiresDesign ?? '').trim().toLowerCase();
+  fields.requiresDesign = ['yes', 'y', 'true', '1', 'x'].includes(design);
+
+  TEAM_FIELDS.forEach(field => {
+    const name = String(input[field] ?? '').trim();
+    if (name) fields[field] = name;
+  });
+  TEAM_LISTS.forEach(field => {
+    const names = parseList(input[field]);
+    if (names.length) fields[field] = names;
+  });
+  if (knownNames) {
+    const unknown = [...new Set([...TEAM_FIELDS.map(f => fields[f]), ...TEAM_LISTS.flatMap(f => fields[f] || [])].filter(Boolean))]
+      .filter(name => !knownNames.has(name));
+    if (unknown.length) warnings.push(`Not a VesselForge user: ${unknown.join(', ')} - they will not see the tender`);
+  }
+
+  // Closed tenders keep only the outcome fields of their own state
+  if (fields.tenderStatus === 'Won') {
+    if (!fields.poNumber) warnings.push('Won without a PO number');
+    if (!fields.wonAt) warnings.push('Won without a won date - analytics dates the outcome by the import');
+    ['lossReason', 'competitor', 'lostAt'].forEach(f => delete fields[f]);
+  } else if (fields.tenderStatus === 'Lost') {
+    if (!fields.lossReason) {
+      warnings.push('Lost without a loss reason');
+    } else if (matchOption(fields.lossReason, LOSS_REASONS)) {
+      fields.lossReason = matchOption(fields.lossReason, LOSS_REASONS);
+    } else {
+      warnings.push(`Loss reason "${fields.lossReason}" is not one of the usual reasons`);
+    }
+    if (!fields.competitor) warnings.push('Lost without the winning competitor');
+    if (!fields.lostAt) warnings.push('Lost without a lost date - analytics dates the outcome by the import');
+    ['poNumber', 'poValue', 'wonAt'].forEach(f => delete fields[f]);
+  } else {
+    ['poNumber', 'poValue', 'wonAt', 'lossReason', 'competitor', 'lostAt'].forEach(f => delete fields[f]);
+  }
+
+  return { fields, errors, warnings };
+};
+
+// Lower-case letters and digits only, so "ACME Pty Ltd" / "Acme Pty. Ltd" compare equal
+const duplicateKey = (client, project) => `${client} ${project}`.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+// Client directory lookups (clients/{id}, see CLIENTS in index.html). Imports link a row to the client
+// whose name or alias matches exactly, ignoring case and spacing; near matches are left to the merge tool.
+const clientNameKey = (name) => String(name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+// { ids: Set of client ids, byName: Map of name key -> client id }
+const clientDirectory = async (db) => {
+  const clients = (await db.ref('clients').once('value')).val() || {};
+  const byName = new Map();
+  Object.entries(clients).forEach(([id, client]) => {
+    [client?.name, ...(client?.aliases || [])].filter(Boolean).forEach(name => {
+      if (!byName.has(clientNameKey(name))) byName.set(clientNameKey(name), id);
+    });
+  });
+  return { ids: new Set(Object.keys(clients)), byName };
+};
+
+// Validates spreadsheet rows for the import. rows: [{ rowNumber, values }]. Returns one report entry per row:
+// { rowNumber, id, status: 'ok' | 'warning' | 'duplicate' | 'error', errors, warnings, duplicateOf, fields }
+// VS numbers that exist already or repeat in the file are errors; a client and project that match an
+// existing tender or an earlier row make the row a possible duplicate. A client id that is not in the
+// directory is an error, as it is for createTender.
+const validateImportRows = async (db, rows, { monthFirst = false } = {}) => {
+  const [tenders, trash, knownNames, clients] = await Promise.all([
+    db.ref('tenders').once('value').then(s => s.val() || {}),
+    db.ref('trash').once('value').then(s => s.val() || {}),
+    knownUserNames(db),
+    clientDirectory(db),
+  ]);
+  const takenIds = new Set([
+    ...Object.keys(tenders),
+    ...Object.values(trash).filter(entry => entry && entry.type === 'tender').map(entry => entry.tenderId),
+  ]);
+  const existingKeys = new Map(Object.entries(tenders)
+    .filter(([, tender]) => tender)
+    .map(([id, tender]) => [duplicateKey(tender.client || '', tender.project || ''), id]));
+  const fileIds = new Map();
+  const fileKeys = new Map();
+
+  return rows.map(({ rowNumber, values }) => {
+    const { fields, errors, warnings } = validateTenderInput(values || {}, { knownNames, monthFirst });
+    if (fields.clientId && !clients.ids.has(fields.clientId)) {
+      errors.push(`Client id ${fields.clientId} is not in the client directory`);
+    } else if (fields.client && !fields.clientId && clients.byName.has(clientNameKey(fields.client))) {
+      fields.clientId = clients.byName.get(clientNameKey(fields.client));
+    }
+    let duplicateOf = null;
+    if (fields.id) {
+      if (takenIds.has(fields.id)) errors.push(`${fields.id} already exists`);
+      else if (fileIds.has(fields.id)) errors.push(`${fields.id} is also on row ${fileIds.get(fields.id)}`);
+      else fileIds.set(fields.id, rowNumber);
+    }
+    if (fields.client && fields.project) {
+      const key = duplicateKey(fields.client, fields.project);
+      duplicateOf = existingKeys.get(key) || (fileKeys.has(key) ? `row ${fileKeys.get(key)}` : null);
+      if (!fileKeys.has(key)) fileKeys.set(key, rowNumber);
+    }
+    const status = errors.length ? 'error' : duplicateOf ? 'duplicate' : warnings.length ? 'warning' : 'ok';
+    return { rowNumber, id: fields.id || null, status, errors, warnings, duplicateOf, fields };
+  });
+};
+
+// ---- Creating ----
+
+const tenderRecord = (id, fields, at) => {
+  const status = fields.tenderStatus || 'Active';
+  const record = {
+    ...fields,
+    id,
+    tenderStatus: status,
+    status: CLOSED_STATES.includes(status) ? status : `Action Required: ${NO_ACTION}`,
+    actionFrom: NO_ACTION,
+    dateReceived: fields.dateReceived || at.slice(0, 10),
+    comments: [],
+    completedBy: [],
+    createdAt: at,
+  };
+  if (CLOSED_STATES.includes(status)) {
+    record.statusChangedAt = (status === 'Won' && fields.wonAt) || (status === 'Lost' && fields.lostAt) || at;
+  }
+  return record;
+};
+
+const historyEntry = (record, caller, { at, source }) => ({
+  type: 'created',
+  to: record.tenderStatus,
+  ...(source ? { data: { source } } : {}),
+  by: caller.userData?.fullName || (caller.email || '').split('@')[0] || 'User',
+  byEmail: caller.email || null,
+  at,
+});
+
+// Writes tenders/{id} unless it exists. Returns false when the id was taken in the meantime.
+const writeNewTender = async (db, id, fields, caller, options) => {
+  const record = tenderRecord(id, fields, options.at);
+  const key = db.ref(`tenders/${record.id}/history`).push().key;
+  const value = { ...record, history: { [key]: historyEntry(record, caller, options) } };
+  const { committed } = await db.ref(`tenders/${record.id}`).transaction(existing => (existing ? undefined : value));
+  return committed ? value : false;
+};
+
+// A new number can only be taken already if someone typed it in before the counter passed it
+const writeAllocated = async (db, fields, caller, options) => {
+  for (let attempt = 0; attempt < MAX_ALLOCATION_ATTEMPTS; attempt++) {
+    const [id] = await allocateVsNumbers(db, 1);
+    const created = await writeNewTender(db, id, fields, caller, options);
+    if (created) return created;
+  }
+  return false;
+};
+
+// The tenders exist by now, so a webhook or search update that cannot be queued is logged rather than
+// reported as a failure
+const queueCreatedTenders = (db, tenders) => Promise.all([
+  queueTendersCreated(db, tenders).catch(error => console.error('Webhook queue error:', error)),
+  queueSearchUpdates(db, tenders.map(tender => tender.id)).catch(error => console.error('Search queue error:', error)),
+]);
+
+// Creates one tender from validated fields. A given id must be free; otherwise the next number is used.
+const createTender = async (db, caller, fields, { source = null } = {}) => {
+  const options = { at: new Date().toISOString(), source };
+  if (fields.clientId && !(await db.ref(`clients/${fields.clientId}`).once('value')).exists()) {
+    throw new HttpError(400, ERROR_CODES.BAD_REQUEST, 'The selected client is no longer in the directory');
+  }
+  let created;
+  if (fields.id) {
+    await reserveVsNumber(db, fields.id);
+    created = await writeNewTender(db, fields.id, fields, caller, options);
+    if (!created) throw new HttpError(409, ERROR_CODES.CONFLICT, `${fields.id} already exists`);
+  } else {
+    created = await writeAllocated(db, fields, caller, options);
+    if (!created) throw new HttpError(409, ERROR_CODES.CONFLICT, 'Could not find a free VS number - try again');
+  }
+  await queueCreatedTenders(db, [created]);
+  return created;
+};
+
+// Creates the import rows in file order: rows with a VS number keep it, the rest get consecutive new
+// numbers. Returns the report entries with id and created set; a row whose VS number was taken
+// during the import becomes an error.
+const createImportedTenders = async (db, caller, report) => {
+  const options = { at: new Date().toISOString(), source: 'import' };
+  const numbered = report.filter(entry => entry.fields.id);
+  const highest = Math.max(0, ...numbered.map(entry => vsNumberOf(entry.fields.id)));
+  if (highest) await reserveVsNumber(db, `VS${highest}`);
+  const unnumbered = report.length - numbered.length;
+  const newIds = unnumbered ? await allocateVsNumbers(db, unnumbered) : [];
+
+  const results = [];
+  const createdTenders = [];
+  for (const entry of report) {
+    const id = entry.fields.id || newIds.shift();
+    const created = await writeNewTender(db, id, entry.fields, caller, options)
+      || (!entry.fields.id && await writeAllocated(db, entry.fields, caller, options));
+    results.push(created
+      ? { ...entry, id: created.id, created: true }
+      : { ...entry, id, status: 'error', created: false, errors: [...entry.errors, `${id} was created by someone else during the import`] });
+    if (created) createdTenders.push(created);
+  }
+  await queueCreatedTenders(db, createdTenders);
+  return results;
+};
+
+module.exports = {
+  TENDER_STATES,
+  LOSS_REASONS,
+  allocateVsNumbers,
+  parseDay,
+  validateTenderInput,
+  validateImportRows,
+  knownUserNames,
+  createTender,
+  createImportedTenders,
+};
@@ -0,0 +1,67 @@
+// Issuing API keys and checking the ones the REST API receives.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createApiKey, revokeApiKey, authenticateApiKey, requireScope } = require('../apiKeys');
+
+// Just enough of the Admin SDK for apiKeys.js: whole-path reads and writes and push ids
+const fakeDb = () => {
+  const data = {};
+  let pushed = 0;
+  const ref = (path) => ({
+    push: () => ({ key: `k${++pushed}` }),
+    once: async () => ({ val: () => structuredClone(data[path] ?? null), exists: () => path in data }),
+    set: async (value) => { data[path] = value; },
+    update: async (fields) => { Object.assign(data[path], fields); },
+  });
+  return { ref, data };
+};
+
+const admin = { email: 'gia@vf.test', userData: { fullName: 'Gia Manager' } };
+const withHeaders = (headers) => ({ headers });
+
+const rejection = (statusCode, message) => (err) => err.statusCode === statusCode && message.test(err.message);
+
+test('a new key is stored as a hash and handed out once as vfk.<id>.<secret>', async () => {
+  const db = fakeDb();
+  const { key, token } = await createApiKey(db, admin, { name: ' ERP sync ', scopes: ['tenders:read', 'tenders:read'] });
+  assert.match(token, /^vfk\.k1\.[\w-]+$/);
+  assert.deepStrictEqual(db.data['apiKeys/k1'], key);
+  assert.strictEqual(key.name, 'ERP sync');
+  assert.deepStrictEqual(key.scopes, ['tenders:read']);
+  assert.strictEqual(key.createdBy, 'Gia Manager');
+  assert.ok(!JSON.stringify(key).includes(token.split('.')[2]));
+});
+
+test('keys need a name and known scopes', async () => {
+  const db = fakeDb();
+  await assert.rejects(createApiKey(db, admin, { name: ' ', scopes: ['tenders:read'] }), rejection(400, /Give the key a name/));
+  await assert.rejects(createApiKey(db, admin, { name: 'ERP', scopes: [] }), rejection(400, /scopes must be some of/));
+  await assert.rejects(createApiKey(db, admin, { name: 'ERP', scopes: ['tenders:delete'] }), rejection(400, /scopes must be some of/));
+});
+
+test('a key is accepted as a bearer token or X-API-Key and its use recorded', async () => {
+  const db = fakeDb();
+  const { token } = await createApiKey(db, admin, { name: 'ERP', scopes: ['tenders:read'] });
+  const key = await authenticateApiKey(withHeaders({ authorization: `Bearer ${token}` }), db);
+  assert.strictEqual(key.id, 'k1');
+  assert.ok(db.data['apiKeys/k1/lastUsedAt']);
+  assert.strictEqual((await authenticateApiKey(withHeaders({ 'x-api-key': token }), db)).id, 'k1');
+  requireScope(key, 'tenders:read');
+  assert.throws(() => requireScope(key, 'tenders:write'), rejection(403, /tenders:write scope/));
+});
+
+test('malformed, unknown, wrong and revoked keys are refused', async () => {
+  const db = fakeDb();
+  const { token } = await createApiKey(db, admin, { name: 'ERP', scopes: ['tenders:read'] });
+  const authenticate = (value) => authenticateApiKey(withHeaders({ authorization: `Bearer ${value}` }), db);
+
+  await assert.rejects(authenticateApiKey(withHeaders({}), db), rejection(401, /Send an API key/));
+  await assert.rejects(authenticate('vfk.k1'), rejection(401, /Send an API key/));
+  await assert.rejects(authenticate('vfk.k9.secret'), rejection(401, /not recognised/));
+  await assert.rejects(authenticate(`${token}x`), rejection(401, /not recognised/));
+
+  await revokeApiKey(db, 'k1');
+  await assert.rejects(authenticate(token), rejection(401, /has been revoked/));
+  await assert.rejects(revokeApiKey(db, 'k9'), rejection(404, /not found/));
+});
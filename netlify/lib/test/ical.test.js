@@ -0,0 +1,36 @@
+// The due-date calendar feed: escaping, all-day events and 75-octet line folding.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { buildCalendar, escapeText } = require('../ical');
+
+const NOW = new Date('2026-03-10T08:00:00.123Z');
+
+test('text values escape backslashes, separators and newlines', () => {
+  assert.strictEqual(escapeText('a\\b; c, d\r\ne'), 'a\\\\b\\; c\\, d\\ne');
+  assert.strictEqual(escapeText(null), '');
+});
+
+test('events are all-day with reminders and CRLF line endings', () => {
+  const ics = buildCalendar({ name: 'Due dates', now: NOW, events: [{ uid: 'VS1@vf', date: '2026-12-31', summary: 'VS1 due', reminderDays: [2] }] });
+  const lines = ics.split('\r\n');
+  assert.strictEqual(lines[0], 'BEGIN:VCALENDAR');
+  assert.strictEqual(lines.at(-1), '');
+  assert.ok(lines.includes('DTSTAMP:20260310T080000Z'));
+  assert.ok(lines.includes('DTSTART;VALUE=DATE:20261231'));
+  assert.ok(lines.includes('DTEND;VALUE=DATE:20270101'));
+  assert.ok(lines.includes('TRIGGER:-P2D'));
+});
+
+test('long lines are folded at 75 octets without splitting characters', () => {
+  const summary = `VS12 ${'Ø'.repeat(60)} separator`;
+  const ics = buildCalendar({ name: 'Due dates', now: NOW, events: [{ uid: 'VS12@vf', date: '2026-12-31', summary }] });
+  const lines = ics.split('\r\n');
+  const start = lines.findIndex(line => line.startsWith('SUMMARY:'));
+  const folded = [lines[start]];
+  for (let i = start + 1; lines[i].startsWith(' '); i++) folded.push(lines[i]);
+
+  assert.ok(folded.length > 1);
+  folded.forEach(line => assert.ok(Buffer.byteLength(line, 'utf8') <= 75));
+  assert.strictEqual(folded.map((line, i) => (i ? line.slice(1) : line)).join(''), `SUMMARY:${summary}`);
+});
@@ -0,0 +1,61 @@
+// The reduce step of the spec review: duplicate detection, kept wording and stable origins.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { mergeRequirements, toResultItems, normalise } = require('../mergeRequirements');
+
+const item = (requirement, extra = {}) => ({ category: 'Design', severity: 'High', requirement, source: { page: 1 }, ...extra });
+
+test('normalise lowercases, drops punctuation and thousands separators but keeps decimals', () => {
+  assert.strictEqual(normalise('Design pressure: 1,500 kPa (g).'), 'design pressure 1500 kpa g');
+  assert.strictEqual(normalise('Corrosion allowance 1.5 mm.'), 'corrosion allowance 1.5 mm');
+});
+
+test('the same requirement found in two chunks is merged and the other source listed', () => {
+  const { items, duplicates } = mergeRequirements([
+    { fileName: 'a.pdf', chunk: 0, items: [item('Design pressure shall be 10 barg')] },
+    { fileName: 'b.pdf', chunk: 2, items: [item('The design pressure shall be 10 barg.', { source: { page: 4, quote: 'q' } })] },
+  ]);
+  assert.strictEqual(duplicates, 1);
+  assert.strictEqual(items.length, 1);
+  assert.strictEqual(items[0].source.fileName, 'a.pdf');
+  assert.deepStrictEqual(items[0].alsoFoundIn, [
+    { fileName: 'b.pdf', chunk: 2, page: 4, pageVerified: null, section: null, quote: 'q' },
+  ]);
+});
+
+test('requirements quoting different numbers stay separate', () => {
+  const { items, duplicates } = mergeRequirements([
+    { fileName: 'a.pdf', chunk: 0, items: [item('Design pressure shall be 10 barg'), item('Design pressure shall be 12 barg')] },
+  ]);
+  assert.strictEqual(duplicates, 0);
+  assert.strictEqual(items.length, 2);
+});
+
+test('the longer wording wins while the first source stays the origin', () => {
+  const { items } = mergeRequirements([
+    { fileName: 'a.pdf', chunk: 0, key: 'a.pdf#0', items: [item('Hydrotest at 15 barg')] },
+    { fileName: 'a.pdf', chunk: 1, key: 'a.pdf#1', items: [item('Hydrotest at 15 barg witnessed')] },
+  ]);
+  assert.strictEqual(items.length, 1);
+  assert.strictEqual(items[0].requirement, 'Hydrotest at 15 barg witnessed');
+  assert.strictEqual(items[0].origin, 'a.pdf#0_0');
+  assert.strictEqual(items[0].source.chunk, 0);
+  assert.strictEqual(items[0].alsoFoundIn[0].chunk, 1);
+});
+
+test('origins give result ids that do not move when chunks are added', () => {
+  const first = mergeRequirements([{ fileName: 'a.pdf', chunk: 1, key: 'a.pdf#1', items: [item('Nozzles to be ASME B16.5 flanged')] }]);
+  const resumed = mergeRequirements([
+    { fileName: 'a.pdf', chunk: 0, key: 'a.pdf#0', items: [item('Shell material SA-516 Gr 70')] },
+    { fileName: 'a.pdf', chunk: 1, key: 'a.pdf#1', items: [item('Nozzles to be ASME B16.5 flanged')] },
+  ]);
+  const id = (result) => toResultItems(result.items).find(r => /Nozzles/.test(r.requirement)).id;
+  assert.strictEqual(id(first), 'req_a.pdf#1_0');
+  assert.strictEqual(id(resumed), id(first));
+});
+
+test('items without a requirement are skipped', () => {
+  const { items } = mergeRequirements([{ fileName: 'a.pdf', chunk: 0, items: [null, item(''), item('Paint to ISO 12944 C4')] }]);
+  assert.strictEqual(items.length, 1);
+});
@@ -0,0 +1,55 @@
+// Recording through the mock provider (LLM_MOCK_MODE=record, see ../llm/mock.js) with a stub upstream.
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const FIXTURES_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-fixtures-'));
+process.env.LLM_FIXTURES_DIR = FIXTURES_DIR;
+process.env.LLM_MOCK_RECORD_PROVIDER = 'stub';
+
+const llm = require('../llm');
+const mock = require('../llm/mock');
+
+const requests = [];
+const stub = {
+  name: 'stub',
+  defaultModel: () => 'stub-model-1',
+  isConfigured: () => true,
+  complete: async (request) => {
+    requests.push(request);
+    return { toolInput: { requirements: [] }, text: '', truncated: false };
+  },
+};
+llm.getProvider = (name) => (name === 'stub' ? stub : null);
+
+after(() => {
+  fs.rmSync(FIXTURES_DIR, { recursive: true, force: true });
+  delete process.env.LLM_MOCK_MODE;
+});
+
+test('recording sends the upstream its own model and replays the reply', async () => {
+  const request = { model: mock.defaultModel(), system: 'sys', prompt: 'prompt', label: 'sample #1', fixtureKey: 'sample\ntext' };
+  process.env.LLM_MOCK_MODE = 'record';
+  const recorded = await mock.complete(request);
+  assert.strictEqual(requests.length, 1);
+  assert.strictEqual(requests[0].model, 'stub-model-1');
+  assert.strictEqual(requests[0].prompt, 'prompt');
+
+  const fixture = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `${mock.fixtureKey(request)}.json`), 'utf8'));
+  assert.strictEqual(fixture.recordedWith, 'stub/stub-model-1');
+  assert.strictEqual(fixture.label, 'sample #1');
+
+  delete process.env.LLM_MOCK_MODE;
+  assert.deepStrictEqual(await mock.complete(request), recorded);
+  assert.strictEqual(requests.length, 1);
+});
+
+test('recording refuses an upstream that is not configured', async () => {
+  process.env.LLM_MOCK_MODE = 'record';
+  process.env.LLM_MOCK_RECORD_PROVIDER = 'missing';
+  await assert.rejects(mock.complete({ prompt: 'other' }), /LLM_MOCK_RECORD_PROVIDER "missing" is not configured/);
+  process.env.LLM_MOCK_RECORD_PROVIDER = 'stub';
+});
@@ -0,0 +1,61 @@
+// Validation of the requirements the model returns: repairs, errors and truncated JSON.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { validateRequirements, salvageJsonArray } = require('../requirementSchema');
+
+const raw = (extra = {}) => ({
+  category: 'Design',
+  severity: 'High',
+  requirement: 'Design pressure 10 barg',
+  rationale: 'Sets the shell thickness',
+  source: { page: 2, quote: 'Design pressure: 10 barg' },
+  ...extra,
+});
+
+test('a well-formed item passes without repairs', () => {
+  const { valid, invalid, repaired } = validateRequirements([raw()]);
+  assert.strictEqual(valid.length, 1);
+  assert.deepStrictEqual(invalid, []);
+  assert.deepStrictEqual(repaired, []);
+  assert.strictEqual(valid[0].source.page, 2);
+});
+
+test('case, synonyms and stray types are repaired and reported', () => {
+  const { valid, repaired } = validateRequirements([raw({ category: 'welding', severity: 'critical', details: ['a', 'b'], source: { page: '3', quote: 'q' } })]);
+  assert.strictEqual(valid[0].category, 'Fabrication');
+  assert.strictEqual(valid[0].severity, 'High');
+  assert.strictEqual(valid[0].details, 'a; b');
+  assert.strictEqual(valid[0].source.page, 3);
+  assert.deepStrictEqual(repaired[0].repairs, [
+    'details converted to text',
+    'category "welding" -> Fabrication',
+    'severity "critical" -> High',
+    'source.page "3" -> 3',
+  ]);
+});
+
+test('plural and compound category wording is matched', () => {
+  const { valid } = validateRequirements([raw({ category: 'Material' }), raw({ category: 'Design Requirements' })]);
+  assert.deepStrictEqual(valid.map(v => v.category), ['Materials', 'Design']);
+});
+
+test('missing or unknown category and severity are errors, not defaults', () => {
+  const { valid, invalid } = validateRequirements([raw({ category: undefined }), raw({ severity: 'Urgent' }), raw({ requirement: ' ' }), 'text']);
+  assert.strictEqual(valid.length, 0);
+  assert.deepStrictEqual(invalid.map(i => i.errors), [
+    ['category is missing'],
+    ['severity "Urgent" is not one of High|Medium|Low'],
+    ['requirement is missing'],
+    ['not an object'],
+  ]);
+});
+
+test('a non-array batch validates to nothing', () => {
+  assert.deepStrictEqual(validateRequirements({ requirements: [] }), { valid: [], invalid: [], repaired: [] });
+});
+
+test('salvageJsonArray keeps every complete object of a cut-off array', () => {
+  assert.deepStrictEqual(salvageJsonArray('Here: [{"a":1},{"b":"x}"},{"c":'), [{ a: 1 }, { b: 'x}' }]);
+  assert.deepStrictEqual(salvageJsonArray('no array'), []);
+});
@@ -0,0 +1,66 @@
+// Query parsing and ranking of the global search, over documents built by buildTenderDocs.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { buildTenderDocs, parseQuery, runSearch } = require('../search');
+
+const NOW = Date.parse('2026-03-10T00:00:00Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const TENDERS = {
+  VS1: { client: 'Acme Gas', project: 'Inlet separator', tenderStatus: 'Active', assignedTo: 'Ana', createdAt: NOW - 200 * DAY_MS, notes: 'Client wants a separator skid with a bypass' },
+  VS2: { client: 'Borealis', project: 'Slug catcher', tenderStatus: 'Won', assignedTo: 'Ben', createdAt: NOW - 2 * DAY_MS },
+  VS3: { client: 'Acme Gas', project: 'Separator replacement', tenderStatus: 'Lost', assignedTo: 'Ben', createdAt: NOW - 5 * DAY_MS },
+};
+const MESSAGES = {
+  VS2: { m1: { sender: 'Ben', text: 'Hydrotest pressure is 15 barg for the slug catcher', timestampMs: NOW - DAY_MS } },
+};
+const FILES = {
+  VS1: { f1: { id: 'f1', name: 'Separator datasheet.pdf', revision: 'B', timestampMs: NOW - 10 * DAY_MS } },
+};
+
+const index = Object.fromEntries(Object.entries(TENDERS).map(([id, tender]) => [id, {
+  tender: { id, client: tender.client, project: tender.project, tenderStatus: tender.tenderStatus, assignedTo: tender.assignedTo },
+}]));
+const docs = Object.fromEntries(Object.entries(TENDERS).map(([id, tender]) => [id, buildTenderDocs(id, tender, MESSAGES[id], FILES[id])]));
+
+const manager = { role: 'General Manager', fullName: 'Gia' };
+const search = (q, filters, user = manager) => runSearch(index, docs, user, q, filters, { now: NOW });
+
+test('parseQuery keeps quoted phrases and adds their words to the terms', () => {
+  assert.deepStrictEqual(parseQuery('Separator "Slug  Catcher" separator'), { terms: ['separator', 'slug', 'catcher'], phrases: ['slug catcher'] });
+  assert.deepStrictEqual(parseQuery('  '), { terms: [], phrases: [] });
+});
+
+test('every term must match, as a word or a prefix of 3+ characters', () => {
+  const { results, total } = search('separ acme');
+  assert.strictEqual(total, 2);
+  assert.deepStrictEqual(results.map(r => r.tenderId).sort(), ['VS1', 'VS3']);
+  assert.ok(results.every(r => r.type === 'tender'));
+  assert.ok(search('separator').results.length > search('separ acme').results.length);
+  assert.deepStrictEqual(search('se').results, []);
+});
+
+test('tender documents outrank notes and recent documents come first among equals', () => {
+  const { results } = search('separator');
+  assert.deepStrictEqual(results.map(r => `${r.tenderId}/${r.type}`), ['VS3/tender', 'VS1/file', 'VS1/tender', 'VS1/note']);
+  assert.deepStrictEqual(results[1].ref, { tab: 'files', fileId: 'f1', folderId: null });
+});
+
+test('phrases must appear as written', () => {
+  assert.deepStrictEqual(search('"catcher slug"').results, []);
+  assert.deepStrictEqual(search('"slug catcher" hydrotest').results.map(r => r.type), ['message']);
+});
+
+test('type, status, client and date filters narrow the candidates', () => {
+  assert.deepStrictEqual(search('separator', { types: ['note', 'bogus'] }).results.map(r => r.tenderId), ['VS1']);
+  assert.deepStrictEqual(search('separator', { status: 'Lost' }).results.map(r => r.tenderId), ['VS3']);
+  assert.deepStrictEqual(search('catcher', { client: 'borea' }).results.map(r => r.type), ['tender', 'message']);
+  assert.deepStrictEqual(search('separator', { from: '2026-03-01' }).results.map(r => r.tenderId), ['VS3']);
+});
+
+test('only tenders on the caller\'s team are searched', () => {
+  const ben = { role: 'Estimator', fullName: 'Ben' };
+  assert.deepStrictEqual(search('separator', {}, ben).results.map(r => r.tenderId), ['VS3']);
+  assert.deepStrictEqual(search('separator', {}, { role: 'Estimator', fullName: 'Nobody' }).results, []);
+});
@@ -0,0 +1,66 @@
+// Due-date SLA levels and the notifications evaluateSla decides to send.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { slaLevel, evaluateSla, settingsWithDefaults } = require('../sla');
+
+const TODAY = '2026-03-10';
+const NOW = Date.parse('2026-03-10T08:00:00Z');
+const settings = settingsWithDefaults(null);
+
+const users = {
+  u1: { email: 'ana@vf.test', fullName: 'Ana Estimator', role: 'Estimator' },
+  u2: { email: 'gm@vf.test', fullName: 'Gia Manager', role: 'General Manager' },
+  u3: { email: 'old@vf.test', fullName: 'Old Hand', role: 'Estimator', isActive: false },
+};
+
+const evaluate = (tenders, state = {}) => evaluateSla({ tenders, users, state, settings, today: TODAY, now: NOW });
+
+test('settings keep positive whole thresholds, tightest last', () => {
+  assert.deepStrictEqual(settingsWithDefaults({ thresholdDays: [2, '7', 0, 2.5, 7] }).thresholdDays, [7, 2]);
+  assert.deepStrictEqual(settings.thresholdDays, [5, 2]);
+});
+
+test('slaLevel reports the tightest threshold reached', () => {
+  assert.strictEqual(slaLevel('2026-03-20', TODAY, [5, 2]), null);
+  assert.strictEqual(slaLevel('2026-03-15', TODAY, [5, 2]), 'due-5d');
+  assert.strictEqual(slaLevel('2026-03-12', TODAY, [5, 2]), 'due-2d');
+  assert.strictEqual(slaLevel(TODAY, TODAY, [5, 2]), 'due-2d');
+  assert.strictEqual(slaLevel('2026-03-09', TODAY, [5, 2]), 'overdue');
+  assert.strictEqual(slaLevel('10/03/2026', TODAY, [5, 2]), null);
+});
+
+test('the team is told once per level and due date', () => {
+  const tenders = { VS1: { tenderStatus: 'Open', dueDate: '2026-03-14', assignedTo: 'Ana Estimator', client: 'Acme', project: 'Separator' } };
+  const first = evaluate(tenders);
+  assert.deepStrictEqual(first.alerts.map(a => [a.email, a.notification.type, a.notification.title]), [['ana@vf.test', 'sla-due', 'Bid due in 4 days']]);
+  assert.deepStrictEqual(first.stateUpdates['VS1/tender'], { level: 'due-5d', dueDate: '2026-03-14', at: new Date(NOW).toISOString() });
+
+  const state = { VS1: { tender: first.stateUpdates['VS1/tender'] } };
+  assert.deepStrictEqual(evaluate(tenders, state).alerts, []);
+  // A new due date starts over
+  const moved = evaluate({ VS1: { ...tenders.VS1, dueDate: '2026-03-13' } }, state);
+  assert.strictEqual(moved.alerts.length, 1);
+});
+
+test('overdue bids escalate to the escalation roles outside the team', () => {
+  const { alerts } = evaluate({ VS2: { tenderStatus: 'Open', dueDate: '2026-03-08', estimators: ['Ana Estimator', 'Old Hand'] } });
+  assert.deepStrictEqual(alerts.map(a => [a.email, a.notification.type]), [
+    ['ana@vf.test', 'sla-overdue'],
+    ['gm@vf.test', 'sla-escalation'],
+  ]);
+  assert.match(alerts[0].notification.title, /overdue by 2 days/);
+});
+
+test('open tasks are tracked and closed tenders or finished tasks clear their state', () => {
+  const tenders = {
+    VS3: { tenderStatus: 'Open', tasks: { t1: { id: 't1', title: 'Check nozzles', dueDate: TODAY, assignees: ['Ana Estimator'] }, t2: { id: 't2', status: 'done', dueDate: TODAY } } },
+    VS4: { tenderStatus: 'Won', dueDate: '2026-03-01' },
+  };
+  const state = { VS3: { 'task-t2': { level: 'due-2d' } }, VS4: { tender: { level: 'overdue' } } };
+  const { alerts, stateUpdates } = evaluate(tenders, state);
+  assert.deepStrictEqual(alerts.map(a => [a.notification.taskId, a.notification.title]), [['t1', 'Task due today']]);
+  assert.strictEqual(stateUpdates.VS4, null);
+  assert.strictEqual(stateUpdates['VS3/task-t2'], null);
+  assert.strictEqual(stateUpdates['VS3/task-t1'].level, 'due-2d');
+});
@@ -0,0 +1,52 @@
+// The spec review pipeline replayed against the recorded reply for the sample spec (see ../llm/mock.js):
+// chunking -> analysis -> source anchoring -> merge, without an LLM or Firebase.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const mock = require('../llm/mock');
+const { chunkDocument } = require('../chunking');
+const { analyseChunk } = require('../specAnalysis');
+const { anchorRequirements } = require('../sourceAnchors');
+const { mergeRequirements } = require('../mergeRequirements');
+
+const SAMPLE = 'sample-separator-spec.txt';
+const SAMPLE_TEXT = fs.readFileSync(path.join(__dirname, '../llm/fixtures/specs', SAMPLE), 'utf8');
+
+const reviewSample = async () => {
+  const pages = [SAMPLE_TEXT];
+  const chunks = chunkDocument({ name: SAMPLE, pages });
+  const diagnostics = [];
+  const partials = [];
+  for (const chunk of chunks) {
+    const { items: raw } = await analyseChunk(mock, chunk, chunks.length, { model: 'fixtures' }, diagnostics);
+    partials.push({ fileName: SAMPLE, chunk: chunk.index, key: `${SAMPLE}#${chunk.index}`, items: anchorRequirements(raw, pages, chunk) });
+  }
+  return { chunks, diagnostics, ...mergeRequirements(partials) };
+};
+
+test('the sample spec fits one chunk', () => {
+  const chunks = chunkDocument({ name: SAMPLE, pages: [SAMPLE_TEXT] });
+  assert.strictEqual(chunks.length, 1);
+  assert.strictEqual(chunks[0].fileName, SAMPLE);
+});
+
+test('the recorded requirements are replayed, anchored and merged', async () => {
+  const { items } = await reviewSample();
+  assert.strictEqual(items.length, 11);
+  assert.ok(items.some(item => /15 barg/.test(item.requirement)));
+  assert.ok(items.some(item => /UG-99/.test(item.requirement)));
+  for (const item of items) {
+    assert.ok(item.requirement, 'every item has a requirement');
+    assert.strictEqual(item.source.fileName, SAMPLE);
+    assert.strictEqual(item.source.page, 1);
+    assert.strictEqual(item.source.pageVerified, true, `quote found in the spec: ${item.requirement}`);
+    assert.ok(SAMPLE_TEXT.includes(item.source.quote), `quote is spec text: ${item.source.quote}`);
+  }
+});
+
+test('a chunk without a recorded reply fails with the fixture to record', async () => {
+  const [chunk] = chunkDocument({ name: 'unrecorded.txt', pages: ['This text has no recorded reply.'] });
+  await assert.rejects(analyseChunk(mock, chunk, 1, { model: 'fixtures' }, []), /fixture/i);
+});
@@ -0,0 +1,103 @@
+// Tender input validation for createTender and the spreadsheet import.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseDay, validateTenderInput, validateImportRows } = require('../tenders');
+
+// Just enough of the Admin SDK for validateImportRows, which only reads whole nodes
+const fakeDb = (data) => ({
+  ref: (path) => ({ once: async () => ({ val: () => data[path] ?? null }) }),
+});
+
+test('parseDay reads ISO dates, day-first or month-first dates and spreadsheet serials', () => {
+  assert.strictEqual(parseDay('2026-3-9'), '2026-03-09');
+  assert.strictEqual(parseDay('2026-03-09T23:30:00+10:00'), '2026-03-09');
+  assert.strictEqual(parseDay('09/03/2026'), '2026-03-09');
+  assert.strictEqual(parseDay('03/09/26', { monthFirst: true }), '2026-03-09');
+  assert.strictEqual(parseDay('46090'), '2026-03-09');
+  assert.strictEqual(parseDay(46090.75), '2026-03-09');
+  assert.strictEqual(parseDay(' '), null);
+  assert.strictEqual(parseDay(undefined), null);
+  assert.strictEqual(parseDay('31/02/2026'), undefined);
+  assert.strictEqual(parseDay('next week'), undefined);
+});
+
+test('a minimal tender gets the defaults and a warning for the missing received date', () => {
+  const { fields, errors, warnings } = validateTenderInput({ client: ' Acme ', project: 'Separator' });
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(warnings, ['No date received - today is used']);
+  assert.deepStrictEqual(fields, { client: 'Acme', project: 'Separator', tenderStatus: 'Active', priorityNumber: 3, value: 0, requiresDesign: false });
+});
+
+test('spreadsheet values are normalised', () => {
+  const { fields, errors } = validateTenderInput({
+    vsNumber: '1234', client: 'Acme', project: 'Separator', tenderStatus: 'on hold', priorityNumber: 'P2',
+    value: '$1,250,000', dateReceived: '01/03/2026', dueDate: '2026-03-20', requiresDesign: 'Y', estimators: 'Ana; Ben,',
+  });
+  assert.deepStrictEqual(errors, []);
+  assert.strictEqual(fields.id, 'VS1234');
+  assert.strictEqual(fields.tenderStatus, 'On Hold');
+  assert.strictEqual(fields.priorityNumber, 2);
+  assert.strictEqual(fields.value, 1250000);
+  assert.strictEqual(fields.dateReceived, '2026-03-01');
+  assert.strictEqual(fields.requiresDesign, true);
+  assert.deepStrictEqual(fields.estimators, ['Ana', 'Ben']);
+});
+
+test('invalid values are errors and left out of the fields', () => {
+  const { fields, errors } = validateTenderInput({
+    vsNumber: 'X12', clientId: 'a/b', tenderStatus: 'Maybe', priorityNumber: '9', value: 'lots', dueDate: '32/01/2026',
+  });
+  assert.deepStrictEqual(errors, [
+    'VS number "X12" must look like VS1234',
+    'Client id is not valid',
+    'Client is required',
+    'Project is required',
+    'Status "Maybe" is not one of Active, Action Required, On Hold, Won, Lost, Cancelled',
+    'Priority "9" must be 1 to 5',
+    'Value "lots" is not an amount',
+    'Due date "32/01/2026" is not a date',
+  ]);
+  ['id', 'clientId', 'tenderStatus', 'dueDate'].forEach(field => assert.ok(!(field in fields), field));
+});
+
+test('closed tenders keep only the outcome fields of their own state', () => {
+  const lost = validateTenderInput({ client: 'Acme', project: 'Separator', dateReceived: '2026-03-01', tenderStatus: 'Lost', lossReason: 'price', poNumber: 'PO1', lostAt: '2026-03-05', competitor: 'Rival' });
+  assert.strictEqual(lost.fields.lossReason, 'Price');
+  assert.ok(!('poNumber' in lost.fields));
+  assert.deepStrictEqual(lost.warnings, []);
+
+  const won = validateTenderInput({ client: 'Acme', project: 'Separator', dateReceived: '2026-03-01', tenderStatus: 'Won', competitor: 'Rival' });
+  assert.ok(!('competitor' in won.fields));
+  assert.deepStrictEqual(won.warnings, ['Won without a PO number', 'Won without a won date - analytics dates the outcome by the import']);
+});
+
+test('team members who are not users are warned about', () => {
+  const { warnings } = validateTenderInput({ client: 'Acme', project: 'Separator', dateReceived: '2026-03-01', assignedTo: 'Ana', designers: 'Zed' }, { knownNames: new Set(['Ana']) });
+  assert.deepStrictEqual(warnings, ['Not a VesselForge user: Zed - they will not see the tender']);
+});
+
+test('import rows are checked against existing tenders, each other and the client directory', async () => {
+  const db = fakeDb({
+    tenders: { VS10: { client: 'Acme Pty Ltd', project: 'Inlet Separator' } },
+    trash: { t1: { type: 'tender', tenderId: 'VS11' } },
+    users: {},
+    clients: { c1: { name: 'Borealis', aliases: ['Borealis AG'] } },
+  });
+  const row = (rowNumber, values) => ({ rowNumber, values: { dateReceived: '2026-03-01', ...values } });
+  const report = await validateImportRows(db, [
+    row(2, { vsNumber: 'VS11', client: 'X', project: 'A' }),
+    row(3, { vsNumber: 'VS12', client: 'ACME Pty. Ltd', project: 'inlet separator' }),
+    row(4, { vsNumber: 'VS12', client: 'borealis  ag', project: 'Slug catcher' }),
+    row(5, { client: 'Borealis AG', project: 'Slug Catcher' }),
+    row(6, { client: 'Cobalt', clientId: 'c9', project: 'Skid' }),
+  ]);
+  assert.deepStrictEqual(report.map(r => [r.rowNumber, r.status, r.errors, r.duplicateOf]), [
+    [2, 'error', ['VS11 already exists'], null],
+    [3, 'duplicate', [], 'VS10'],
+    [4, 'error', ['VS12 is also on row 3'], null],
+    [5, 'duplicate', [], 'row 4'],
+    [6, 'error', ['Client id c9 is not in the client directory'], null],
+  ]);
+  assert.strictEqual(report[2].fields.clientId, 'c1');
+});
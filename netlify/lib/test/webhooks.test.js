@@ -0,0 +1,123 @@
+// Webhook signatures, retry scheduling and the delivery log, against an in-memory database.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { RETRY_DELAYS_MINUTES, signature, deleteWebhook, processWebhookDeliveries } = require('../webhooks');
+
+const NOW = Date.parse('2026-03-10T00:00:00Z');
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Just enough of the Admin SDK: reads, multi-path updates and orderByChild range queries
+const fakeDb = (root) => {
+  const get = (path) => path.split('/').filter(Boolean).reduce((node, key) => node?.[key], root) ?? null;
+  const write = (path, value) => {
+    const keys = path.split('/').filter(Boolean);
+    const parent = keys.slice(0, -1).reduce((node, key) => (node[key] = node[key] || {}), root);
+    if (value === null) delete parent[keys.at(-1)];
+    else parent[keys.at(-1)] = value;
+  };
+  const snapshot = (value) => ({ val: () => (value === null ? null : structuredClone(value)), exists: () => value !== null });
+  const ref = (path) => ({
+    child: (key) => ref(`${path}/${key}`),
+    once: async () => snapshot(get(path)),
+    update: async (updates) => Object.entries(updates).forEach(([key, value]) => write(`${path}/${key}`, value)),
+    orderByChild: (field) => {
+      const range = { start: -Infinity, end: Infinity, limit: Infinity };
+      const query = {
+        startAt: (value) => Object.assign(range, { start: value }) && query,
+        endAt: (value) => Object.assign(range, { end: value }) && query,
+        equalTo: (value) => Object.assign(range, { start: value, end: value }) && query,
+        limitToFirst: (limit) => Object.assign(range, { limit }) && query,
+        once: async () => {
+          const matches = Object.entries(get(path) || {})
+            .filter(([, child]) => child?.[field] != null && child[field] >= range.start && child[field] <= range.end)
+            .sort(([, a], [, b]) => (a[field] < b[field] ? -1 : a[field] > b[field] ? 1 : 0))
+            .slice(0, range.limit);
+          return snapshot(matches.length ? Object.fromEntries(matches) : null);
+        },
+      };
+      return query;
+    },
+  });
+  return { ref: (path = '') => ref(path), root };
+};
+
+const delivery = (id, fields) => ({ id, webhookId: 'h1', event: 'tender.created', body: '{"id":"e1"}', status: 'pending', attempts: 0, nextAttemptAt: NOW, createdAt: NOW, ...fields });
+
+const respondWith = (status, calls = []) => async (url, options) => {
+  calls.push({ url, options });
+  return { ok: status < 300, status, text: async () => 'Service unavailable' };
+};
+
+test('the signature is the HMAC-SHA256 of the timestamp and body', () => {
+  const expected = crypto.createHmac('sha256', 'whsec').update('1700000000.{"a":1}').digest('hex');
+  assert.strictEqual(signature('whsec', '1700000000', '{"a":1}'), `sha256=${expected}`);
+});
+
+test('a due delivery is sent signed and marked delivered', async () => {
+  const db = fakeDb({
+    webhooks: { h1: { id: 'h1', url: 'https://example.test/hook', secret: 'whsec' } },
+    webhookDeliveries: { d1: delivery('d1'), d2: delivery('d2', { nextAttemptAt: NOW + MINUTE_MS }) },
+  });
+  const calls = [];
+  const counts = await processWebhookDeliveries(db, { now: NOW, fetchImpl: respondWith(200, calls) });
+
+  assert.deepStrictEqual(counts, { delivered: 1, retrying: 0, failed: 0, pruned: 0 });
+  assert.strictEqual(calls.length, 1);
+  const { headers, body } = calls[0].options;
+  assert.strictEqual(headers['X-VesselForge-Delivery'], 'd1');
+  assert.strictEqual(headers['X-VesselForge-Signature'], signature('whsec', headers['X-VesselForge-Timestamp'], body));
+  assert.strictEqual(db.root.webhookDeliveries.d1.status, 'delivered');
+  assert.strictEqual(db.root.webhookDeliveries.d1.nextAttemptAt, undefined);
+  assert.strictEqual(db.root.webhookDeliveries.d2.status, 'pending');
+});
+
+test('failures are retried after each delay and given up after the last one', async () => {
+  const db = fakeDb({
+    webhooks: { h1: { id: 'h1', url: 'https://example.test/hook', secret: 'whsec' } },
+    webhookDeliveries: { d1: delivery('d1') },
+  });
+  let now = NOW;
+  for (const minutes of RETRY_DELAYS_MINUTES) {
+    const counts = await processWebhookDeliveries(db, { now, fetchImpl: respondWith(503) });
+    assert.strictEqual(counts.retrying, 1);
+    now += minutes * MINUTE_MS;
+    assert.strictEqual(db.root.webhookDeliveries.d1.nextAttemptAt, now);
+    assert.strictEqual(db.root.webhookDeliveries.d1.error, 'HTTP 503: Service unavailable');
+  }
+  const counts = await processWebhookDeliveries(db, { now, fetchImpl: respondWith(503) });
+  assert.strictEqual(counts.failed, 1);
+  assert.strictEqual(db.root.webhookDeliveries.d1.status, 'failed');
+  assert.strictEqual(db.root.webhookDeliveries.d1.attempts, RETRY_DELAYS_MINUTES.length + 1);
+});
+
+test('deliveries of a deleted webhook fail and finished ones leave the log after a week', async () => {
+  const db = fakeDb({
+    webhooks: {},
+    webhookDeliveries: {
+      d1: delivery('d1', { webhookId: 'gone' }),
+      old: delivery('old', { status: 'delivered', nextAttemptAt: null, createdAt: NOW - 8 * DAY_MS }),
+      stuck: delivery('stuck', { nextAttemptAt: NOW + MINUTE_MS, createdAt: NOW - 8 * DAY_MS }),
+    },
+  });
+  const counts = await processWebhookDeliveries(db, { now: NOW, fetchImpl: respondWith(200) });
+  assert.deepStrictEqual(counts, { delivered: 0, retrying: 0, failed: 1, pruned: 1 });
+  assert.strictEqual(db.root.webhookDeliveries.d1.error, 'The webhook was deleted');
+  assert.deepStrictEqual(Object.keys(db.root.webhookDeliveries).sort(), ['d1', 'stuck']);
+});
+
+test('deleting a webhook drops its pending deliveries and keeps the log', async () => {
+  const db = fakeDb({
+    webhooks: { h1: { id: 'h1' }, h2: { id: 'h2' } },
+    webhookDeliveries: {
+      d1: delivery('d1'),
+      d2: delivery('d2', { status: 'delivered' }),
+      d3: delivery('d3', { webhookId: 'h2' }),
+    },
+  });
+  await deleteWebhook(db, 'h1');
+  assert.deepStrictEqual(Object.keys(db.root.webhooks), ['h2']);
+  assert.deepStrictEqual(Object.keys(db.root.webhookDeliveries).sort(), ['d2', 'd3']);
+});
@@ -0,0 +1,202 @@
+// Soft delete for tenders, files and folders. Deleting moves the records into
+// trash/{trashId} = { id, type, tenderId, itemId?, label, data, deletedBy, deletedByEmail, deletedAt, purgeAfter }
+// in the same multi-path update that removes them, so they can be restored as they were:
+//   tender: data = { tender, messages, files, folders } - spec reviews live on the tender record
+//   file:   data = { file }
+//   folder: data = { folder }
+// Storage objects stay where they are until the entry is purged, either by an administrator or by
+// the trashCleanup schedule once purgeAfter has passed (TRASH_RETENTION_DAYS, default 30).
+
+const { ERROR_CODES, HttpError } = require('./http');
+const { tenderFilePath } = require('./specStorage');
+const { pageTextPath } = require('./pageText');
+
+const DEFAULT_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const retentionDays = () => {
+  const days = parseInt(process.env.TRASH_RETENTION_DAYS || '', 10);
+  return Number.isInteger(days) && days > 0 ? days : DEFAULT_RETENTION_DAYS;
+};
+
+const readValue = (db, path) => db.ref(path).once('value').then(s => s.val());
+
+const newEntry = (db, caller, fields, now) => ({
+  id: db.ref('trash').push().key,
+  ...fields,
+  deletedBy: caller.userData?.fullName || caller.email,
+  deletedByEmail: caller.email,
+  deletedAt: now,
+  purgeAfter: now + retentionDays() * DAY_MS,
+});
+
+const trashTender = async (db, caller, tenderId, now = Date.now()) => {
+  const [tender, messages, files, folders] = await Promise.all(
+    ['tenders', 'tender-messages', 'tender-files', 'folders'].map(root => readValue(db, `${root}/${tenderId}`))
+  );
+  if (!tender) {
+    throw new HttpError(404, ERROR_CODES.NOT_FOUND, `Tender ${tenderId} not found`);
+  }
+  const entry = newEntry(db, caller, {
+    type: 'tender',
+    tenderId,
+    label: [tenderId, tender.client, tender.project].filter(Boolean).join(' - '),
+    data: { tender, messages, files, folders },
+  }, now);
+  await db.ref().update({
+    [`trash/${entry.id}`]: entry,
+    [`tenders/${tenderId}`]: null,
+    [`tender-messages/${tenderId}`]: null,
+    [`tender-files/${tenderId}`]: null,
+    [`folders/${tenderId}`]: null,
+    // Comparison results are worked out again from the files after a restore
+    [`revisionCompares/${tenderId}`]: null,
+    // The searchIndex schedule drops the tender from search (see ./search.js)
+    [`searchQueue/${tenderId}`]: now,
+  });
+  return entry;
+};
+
+const trashFile = async (db, caller, tenderId, fileId, now = Date.now()) => {
+  const file = await readValue(db, `tender-files/${tenderId}/${fileId}`);
+  if (!file) {
+    throw new HttpError(404, ERROR_CODES.NOT_FOUND, `File ${fileId} not found on ${tenderId}`);
+  }
+  const entry = newEntry(db, caller, { type: 'file', tenderId, itemId: String(fileId), label: file.name, data: { file } }, now);
+  await db.ref().update({
+    [`trash/${entry.id}`]: entry,
+    [`tender-files/${tenderId}/${fileId}`]: null,
+    [`searchQueue/${tenderId}`]: now,
+  });
+  return entry;
+};
+
+// Folders are flat; one that still holds files is refused, as before
+const trashFolder = async (db, caller, tenderId, folderId, now = Date.now()) => {
+  const [folder, files] = await Promise.all([
+    readValue(db, `folders/${tenderId}/${folderId}`),
+    readValue(db, `tender-files/${tenderId}`),
+  ]);
+  if (!folder) {
+    throw new HttpError(404, ERROR_CODES.NOT_FOUND, `Folder ${folderId} not found on ${tenderId}`);
+  }
+  const contained = Object.values(files || {}).filter(f => f && String(f.folderId) === String(folderId)).length;
+  if (contained) {
+    throw new HttpError(409, ERROR_CODES.CONFLICT, `Folder "${folder.name}" contains ${contained} file(s). Move or delete them first.`);
+  }
+  const entry = newEntry(db, caller, { type: 'folder', tenderId, itemId: String(folderId), label: folder.name, data: { folder } }, now);
+  await db.ref().update({
+    [`trash/${entry.id}`]: entry,
+    [`folders/${tenderId}/${folderId}`]: null,
+  });
+  return entry;
+};
+
+const getEntry = async (db, trashId) => {
+  const entry = trashId ? await readValue(db, `trash/${trashId}`) : null;
+  if (!entry) {
+    throw new HttpError(404, ERROR_CODES.NOT_FOUND, 'Trash entry not found - it may have been restored or purged');
+  }
+  return entry;
+};
+
+// Puts the records back where they were and drops the entry. A tender whose number has been reused
+// cannot come back, and files and folders need their tender to exist.
+const restoreEntry = async (db, trashId) => {
+  const entry = await getEntry(db, trashId);
+  const { tenderId, data = {} } = entry;
+  const tenderExists = (await db.ref(`tenders/${tenderId}`).once('value')).exists();
+  const updates = { [`trash/${trashId}`]: null, [`searchQueue/${tenderId}`]: Date.now() };
+
+  if (entry.type === 'tender') {
+    if (tenderExists) {
+      throw new HttpError(409, ERROR_CODES.CONFLICT, `A tender ${tenderId} exists again, so the deleted one cannot be restored`);
+    }
+    updates[`tenders/${tenderId}`] = data.tender;
+    updates[`tender-messages/${tenderId}`] = data.messages || null;
+    updates[`tender-files/${tenderId}`] = data.files || null;
+    updates[`folders/${tenderId}`] = data.folders || null;
+  } else {
+    if (!tenderExists) {
+      throw new HttpError(409, ERROR_CODES.CONFLICT, `Tender ${tenderId} is deleted - restore it first`);
+    }
+    if (entry.type === 'file') {
+      // The file goes back to the top level if its folder is gone
+      const file = { ...data.file };
+      if (file.folderId && !(await db.ref(`folders/${tenderId}/${file.folderId}`).once('value')).exists()) {
+        file.folderId = null;
+      }
+      updates[`tender-files/${tenderId}/${entry.itemId}`] = file;
+    } else if (entry.type === 'folder') {
+      updates[`folders/${tenderId}/${entry.itemId}`] = data.folder;
+    } else {
+      throw new HttpError(400, ERROR_CODES.BAD_REQUEST, `Unknown trash entry type "${entry.type}"`);
+    }
+  }
+
+  await db.ref().update(updates);
+  return entry;
+};
+
+// The object and the page text extracted from it
+const deleteObject = (bucket, path) => Promise.all([path, pageTextPath(path)].map(p => bucket.file(p).delete({ ignoreNotFound: true })));
+
+// Deletes the entry's storage objects and the entry itself. Returns the ids of the entries removed.
+const purgeEntry = async (db, bucket, entry, trash = null) => {
+  const { tenderId, data = {} } = entry;
+  const removed = [entry.id];
+
+  if (entry.type === 'tender') {
+    const reused = (await db.ref(`tenders/${tenderId}`).once('value')).exists();
+    if (reused) {
+      // Everything under the prefixes belongs to the new tender now; only remove what this one listed
+      await Promise.all(Object.values(data.files || {}).map(f => deleteObject(bucket, tenderFilePath(tenderId, f))));
+    } else {
+      for (const prefix of [`tender-files/${tenderId}/`, `specs/${tenderId}/`]) {
+        await bucket.deleteFiles({ prefix });
+        await bucket.deleteFiles({ prefix: pageTextPath(prefix).replace(/\.json$/, '') });
+      }
+      // The search entry was only kept for a restore
+      await db.ref(`searchIndex/${tenderId}`).remove();
+      // Files and folders deleted from this tender earlier can no longer be restored either
+      const others = trash || (await readValue(db, 'trash')) || {};
+      Object.values(others)
+        .filter(other => other && other.id !== entry.id && other.type !== 'tender' && other.tenderId === tenderId)
+        .forEach(other => removed.push(other.id));
+    }
+  } else if (entry.type === 'file' && data.file) {
+    await deleteObject(bucket, tenderFilePath(tenderId, data.file));
+  }
+
+  const updates = {};
+  removed.forEach(id => {
+    updates[`trash/${id}`] = null;
+  });
+  await db.ref().update(updates);
+  return removed;
+};
+
+const purgeById = async (db, bucket, trashId) => purgeEntry(db, bucket, await getEntry(db, trashId));
+
+// Purges every entry whose retention has run out. Returns the number of entries removed.
+const purgeExpired = async (db, bucket, now = Date.now()) => {
+  const trash = (await readValue(db, 'trash')) || {};
+  const purged = new Set();
+  for (const entry of Object.values(trash)) {
+    // Entries purged along with their tender are skipped
+    if (!entry || purged.has(entry.id) || !(entry.purgeAfter <= now)) continue;
+    (await purgeEntry(db, bucket, entry, trash)).forEach(id => purged.add(id));
+  }
+  return purged.size;
+};
+
+module.exports = {
+  DEFAULT_RETENTION_DAYS,
+  retentionDays,
+  trashTender,
+  trashFile,
+  trashFolder,
+  restoreEntry,
+  purgeById,
+  purgeExpired,
+};
@@ -0,0 +1,314 @@
+// Outbound webhooks, so ERP and CRM systems hear about tenders without polling the REST API.
+//
+//   webhooks/{id}          { id, url, events: [], secret, active, createdBy, createdAt, updatedAt }
+//   webhookDeliveries/{id} { id, webhookId, eventId, event, body, status: pending | delivered | failed,
+//                            attempts, nextAttemptAt (epoch ms), lastAttemptAt, responseStatus, error,
+//                            createdAt, deliveredAt }
+//   webhookState           { statusCursor, statusSeen: { [tenderId]: statusChangedAt } }
+//
+// Events are queued as one delivery per subscribed webhook, with the JSON body stored as sent so a
+// retry is byte-for-byte the same. Tender creation and spec review completion happen on the server
+// and queue their events directly; status changes are written by the dashboard, so the
+// webhookDispatch schedule finds them through statusChangedAt. The same schedule sends due
+// deliveries and retries failures with backoff.
+//
+// Deliveries are looked up through the indexes on nextAttemptAt (due ones - only pending deliveries
+// have one), createdAt (pruning) and webhookId (see webhookDeliveries in rules/build.js), so the
+// schedule never reads the whole delivery log.
+//
+// Each request is signed: X-VesselForge-Signature is `sha256=` + the hex HMAC-SHA256 of
+// `<X-VesselForge-Timestamp>.<body>` with the webhook's secret.
+
+const crypto = require('crypto');
+const { ERROR_CODES, HttpError } = require('./http');
+const { API_VERSION, COMPLETED_SPEC_STATUSES, apiTender, apiSpecReview } = require('./restApi');
+
+const WEBHOOK_EVENTS = {
+  'tender.created': 'A tender is created from the dashboard, an import or the API',
+  'tender.status_changed': 'A tender changes status, e.g. to Won or Lost',
+  'spec_review.completed': 'A spec review run finishes',
+};
+// Minutes to wait before each retry; a delivery still failing after the last one is given up
+const RETRY_DELAYS_MINUTES = [1, 5, 30, 120, 720];
+const MAX_ATTEMPTS = RETRY_DELAYS_MINUTES.length + 1;
+const DELIVERY_TIMEOUT_MS = 10000;
+const MAX_DELIVERIES_PER_RUN = 25;
+const LOG_DAYS = 7;
+// Status changes are stamped with the browser's clock, so each scan looks back this far and
+// statusSeen keeps the same change from being sent twice
+const STATUS_LOOKBACK_MS = 15 * 60 * 1000;
+const MAX_RESPONSE_CHARS = 300;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const queryValues = (query) => query.once('value').then(s => Object.values(s.val() || {}).filter(Boolean));
+
+const signature = (secret, timestamp, body) => `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+// ---- Managing webhooks ----
+
+const validateWebhookInput = ({ url, events }, { partial = false } = {}) => {
+  const fields = {};
+  if (url !== undefined || !partial) {
+    let parsed;
+    try {
+      parsed = new URL(String(url || ''));
+    } catch {
+      throw new HttpError(400, ERROR_CODES.BAD_REQUEST, 'url must be a full https:// address');
+    }
+    if (parsed.protocol !== 'https:') {
+      throw new HttpError(400, ERROR_CODES.BAD_REQUEST, 'Webhooks are only sent to https:// addresses');
+    }
+    fields.url = parsed.toString();
+  }
+  if (events !== undefined || !partial) {
+    const chosen = [...new Set(Array.isArray(events) ? events : [])];
+    if (!chosen.length || chosen.some(event => !WEBHOOK_EVENTS[event])) {
+      throw new HttpError(400, ERROR_CODES.BAD_REQUEST, `events must be some of ${Object.keys(WEBHOOK_EVENTS).join(', ')}`);
+    }
+    fields.events = chosen;
+  }
+  return fields;
+};
+
+const createWebhook = async (db, caller, input) => {
+  const id = db.ref('webhooks').push().key;
+  const webhook = {
+    id,
+    ...validateWebhookInput(input),
+    secret: `whsec_${crypto.randomBytes(24).toString('base64url')}`,
+    active: true,
+    createdBy: caller.userData?.fullName || caller.email || null,
+    createdAt: new Date().toISOString(),
+  };
+  await db.ref(`webhooks/${id}`).set(webhook);
+  return webhook;
+};
+
+const loadWebhook = async (db, webhookId) => {
+  const webhook = (await db.ref(`webhooks/${webhookId}`).once('value')).val();
+  if (!webhook) throw new HttpError(404, ERROR_CODES.NOT_FOUND, 'Webhook not found');
+  return webhook;
+};
+
+// input: { url?, events?, active?, rotateSecret? }
+const updateWebhook = async (db, webhookId, input) => {
+  await loadWebhook(db, webhookId);
+  const updates = { ...validateWebhookInput(input, { partial: true }), updatedAt: new Date().toISOString() };
+  if (input.active !== undefined) updates.active = !!input.active;
+  if (input.rotateSecret) updates.secret = `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+  await db.ref(`webhooks/${webhookId}`).update(updates);
+  return (await db.ref(`webhooks/${webhookId}`).once('value')).val();
+};
+
+// Removes the webhook and anything still waiting to be sent to it; the delivery log is kept
+const deleteWebhook = async (db, webhookId) => {
+  await loadWebhook(db, webhookId);
+  const deliveries = await queryValues(db.ref('webhookDeliveries').orderByChild('webhookId').equalTo(webhookId));
+  const updates = { [`webhooks/${webhookId}`]: null };
+  deliveries.forEach(delivery => {
+    if (delivery.status === 'pending') {
+      updates[`webhookDeliveries/${delivery.id}`] = null;
+    }
+  });
+  await db.ref().update(updates);
+};
+
+// Sends a failed (or delivered) delivery again from the first attempt
+const redeliver = async (db, deliveryId) => {
+  const delivery = (await db.ref(`webhookDeliveries/${deliveryId}`).once('value')).val();
+  if (!delivery) throw new HttpError(404, ERROR_CODES.NOT_FOUND, 'Delivery not found');
+  await db.ref(`webhookDeliveries/${deliveryId}`).update({ status: 'pending', attempts: 0, nextAttemptAt: Date.now(), error: null });
+};
+
+// ---- Queueing events ----
+
+// events: [{ event, data }]. Pass `webhookId` to queue for that webhook only, whatever it subscribes
+// to (used for test pings). Returns the ids of the queued deliveries.
+const queueWebhookEvents = async (db, events, { webhookId = null, now = Date.now() } = {}) => {
+  if (!events.length) return [];
+  const webhooks = Object.values((await db.ref('webhooks').once('value')).val() || {})
+    .filter(hook => hook && (webhookId ? hook.id === webhookId : hook.active !== false));
+  const updates = {};
+  events.forEach(({ event, data }) => {
+    const targets = webhookId ? webhooks : webhooks.filter(hook => (hook.events || []).includes(event));
+    if (!targets.length) return;
+    const eventId = db.ref('webhookDeliveries').push().key;
+    const body = JSON.stringify({ id: eventId, event, apiVersion: API_VERSION, createdAt: new Date(now).toISOString(), data });
+    targets.forEach(hook => {
+      const id = db.ref('webhookDeliveries').push().key;
+      updates[id] = { id, webhookId: hook.id, eventId, event, body, status: 'pending', attempts: 0, nextAttemptAt: now, createdAt: now };
+    });
+  });
+  if (Object.keys(updates).length) await db.ref('webhookDeliveries').update(updates);
+  return Object.keys(updates);
+};
+
+// tenders: the records written by ../lib/tenders.js. Their current status counts as already sent.
+const queueTendersCreated = async (db, tenders) => {
+  const seen = {};
+  tenders.forEach(tender => {
+    if (tender.statusChangedAt) seen[tender.id] = tender.statusChangedAt;
+  });
+  if (Object.keys(seen).length) await db.ref('webhookState/statusSeen').update(seen);
+  return queueWebhookEvents(db, tenders.map(tender => ({ event: 'tender.created', data: { tender: apiTender(tender.id, tender) } })));
+};
+
+const queueSpecReviewCompleted = async (db, tenderId, runId) => {
+  const tender = (await db.ref(`tenders/${tenderId}`).once('value')).val();
+  const run = tender?.specReviews?.[runId];
+  if (!run || !COMPLETED_SPEC_STATUSES.includes(run.status)) return [];
+  return queueWebhookEvents(db, [{
+    event: 'spec_review.completed',
+    data: { tender: apiTender(tenderId, tender), specReview: apiSpecReview(tenderId, runId, run) },
+  }]);
+};
+
+// Finds status changes made since the last scan. The first scan only records where to start from.
+const queueStatusChanges = async (db, now = Date.now()) => {
+  const state = (await db.ref('webhookState').once('value')).val() || {};
+  if (!state.statusCursor) {
+    await db.ref('webhookState/statusCursor').set(new Date(now).toISOString());
+    return 0;
+  }
+
+  const from = new Date(Date.parse(state.statusCursor) - STATUS_LOOKBACK_MS).toISOString();
+  const changed = (await db.ref('tenders').orderByChild('statusChangedAt').startAt(from).once('value')).val() || {};
+  const seen = state.statusSeen || {};
+  const events = [];
+  const updates = { statusCursor: new Date(now).toISOString() };
+
+  Object.entries(changed).forEach(([tenderId, tender]) => {
+    if (!tender?.statusChangedAt || seen[tenderId] === tender.statusChangedAt) return;
+    updates[`statusSeen/${tenderId}`] = tender.statusChangedAt;
+    const to = tender.tenderStatus || 'Active';
+    const move = Object.values(tender.history || {})
+      .filter(entry => entry?.type === 'status' && entry.to === to)
+      .sort((a, b) => String(b.at).localeCompare(String(a.at)))[0];
+    if (move && move.from === move.to) return;
+    events.push({
+      event: 'tender.status_changed',
+      data: {
+        tender: apiTender(tenderId, tender),
+        from: move?.from || null,
+        to,
+        changedAt: tender.statusChangedAt,
+        changedBy: move?.by || null,
+        details: move?.data || {},
+      },
+    });
+  });
+
+  // Changes older than the look-back window can no longer come up in a scan
+  Object.entries(seen).forEach(([tenderId, at]) => {
+    if (at < from && !updates[`statusSeen/${tenderId}`]) updates[`statusSeen/${tenderId}`] = null;
+  });
+
+  await queueWebhookEvents(db, events, { now });
+  await db.ref('webhookState').update(updates);
+  return events.length;
+};
+
+// ---- Sending ----
+
+const attemptDelivery = async (webhook, delivery, now, fetchImpl) => {
+  const attempts = (delivery.attempts || 0) + 1;
+  const timestamp = String(Math.floor(now / 1000));
+  let responseStatus = null;
+  let error = null;
+  try {
+    const response = await fetchImpl(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': `VesselForge-Webhooks/${API_VERSION}`,
+        'X-VesselForge-Event': delivery.event,
+        'X-VesselForge-Delivery': delivery.id,
+        'X-VesselForge-Timestamp': timestamp,
+        'X-VesselForge-Signature': signature(webhook.secret, timestamp, delivery.body),
+      },
+      body: delivery.body,
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+    });
+    responseStatus = response.status;
+    if (!response.ok) {
+      const text = await response.text().catch(() => '');
+      error = `HTTP ${response.status}${text ? `: ${text.slice(0, MAX_RESPONSE_CHARS)}` : ''}`;
+    }
+  } catch (err) {
+    error = err.name === 'TimeoutError' ? `No response within ${DELIVERY_TIMEOUT_MS / 1000}s` : err.message;
+  }
+
+  const result = { attempts, lastAttemptAt: now, responseStatus, error };
+  if (!error) return { ...result, status: 'delivered', deliveredAt: now, nextAttemptAt: null };
+  if (attempts >= MAX_ATTEMPTS) return { ...result, status: 'failed', nextAttemptAt: null };
+  return { ...result, status: 'pending', nextAttemptAt: now + RETRY_DELAYS_MINUTES[attempts - 1] * 60 * 1000 };
+};
+
+// Sends the deliveries that are due (or just `only`, by id) and prunes the log.
+// Returns { delivered, retrying, failed, pruned }.
+const processWebhookDeliveries = async (db, { now = Date.now(), only = null, fetchImpl = fetch } = {}) => {
+  const deliveries = db.ref('webhookDeliveries');
+  const [webhooks, candidates] = await Promise.all([
+    db.ref('webhooks').once('value').then(s => s.val() || {}),
+    only
+      ? Promise.all(only.map(id => deliveries.child(id).once('value').then(s => s.val()))).then(list => list.filter(Boolean))
+      : queryValues(deliveries.orderByChild('nextAttemptAt').startAt(0).endAt(now).limitToFirst(MAX_DELIVERIES_PER_RUN)),
+  ]);
+  const due = candidates
+    .filter(d => d.status === 'pending')
+    .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt)
+    .slice(0, MAX_DELIVERIES_PER_RUN);
+
+  const updates = {};
+  const counts = { delivered: 0, retrying: 0, failed: 0, pruned: 0 };
+  await Promise.all(due.map(async (delivery) => {
+    const webhook = webhooks[delivery.webhookId];
+    const result = webhook
+      ? await attemptDelivery(webhook, delivery, now, fetchImpl)
+      : { status: 'failed', nextAttemptAt: null, error: 'The webhook was deleted' };
+    Object.entries(result).forEach(([field, value]) => {
+      updates[`${delivery.id}/${field}`] = value;
+    });
+    counts[result.status === 'pending' ? 'retrying' : result.status]++;
+  }));
+
+  if (!only) {
+    const expired = await queryValues(deliveries.orderByChild('createdAt').endAt(now - LOG_DAYS * DAY_MS));
+    expired.forEach(d => {
+      if (d.status !== 'pending' && !updates[`${d.id}/status`]) {
+        updates[d.id] = null;
+        counts.pruned++;
+      }
+    });
+  }
+  if (Object.keys(updates).length) await deliveries.update(updates);
+  return counts;
+};
+
+// Queues a ping for one webhook and sends it straight away. Returns the delivery as stored.
+const sendTestEvent = async (db, webhookId, caller, fetchImpl = fetch) => {
+  await loadWebhook(db, webhookId);
+  const [id] = await queueWebhookEvents(db, [{
+    event: 'ping',
+    data: { webhookId, message: `Test event sent by ${caller.userData?.fullName || caller.email || 'an administrator'}` },
+  }], { webhookId });
+  await processWebhookDeliveries(db, { only: [id], fetchImpl });
+  return (await db.ref(`webhookDeliveries/${id}`).once('value')).val();
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  RETRY_DELAYS_MINUTES,
+  signature,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  redeliver,
+  queueWebhookEvents,
+  queueTendersCreated,
+  queueSpecReviewCompleted,
+  queueStatusChanges,
+  processWebhookDeliveries,
+  sendTestEvent,
+};
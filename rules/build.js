@@ -0,0 +1,268 @@
+// Generates database.rules.json and storage.rules from the role table in netlify/lib/permissions.js.
+// Run `npm run rules` after changing roles, permissions or the paths below, and deploy both files
+// with `firebase deploy --only database,storage`. rules/test checks them against the emulators; `npm test`
+// only covers the generated files, so the deploy runs `npm run test:all` first (predeploy in firebase.json).
+//
+// The rules read permissions from userAccess/{uid} (Realtime Database) and the { role, perms } token
+// claims (Storage), which netlify/lib/access.js resolves from users/{uid} - role plus custom grants
+// and denies, in the same order as hasPermission. Team checks follow isUserInTenderTeam: General
+// Managers see every tender, everyone else must be named in one of the tender's team fields, either
+// by userAccess/{uid}/name or by the local part of their sign-in email.
+// Storage rules cannot read the database, so files are checked by permission only.
+
+const fs = require('fs');
+const path = require('path');
+const { USER_ROLES, PERMISSIONS, SELF_SIGNUP_ROLES, CODE_LIBRARY_PERMISSIONS } = require('../netlify/lib/permissions');
+
+const ROOT = path.join(__dirname, '..');
+const DATABASE_RULES_FILE = path.join(ROOT, 'database.rules.json');
+const STORAGE_RULES_FILE = path.join(ROOT, 'storage.rules');
+
+const TEAM_FIELDS = ['assignedTo', 'salesManager', 'designer', 'planner'];
+const TEAM_LISTS = ['estimators', 'salesManagers', 'designers', 'planners'];
+// Entries of each team list the rules look at; the new-tender and team forms stay well below this
+const MAX_TEAM_LIST = 6;
+// Roles that are on every tender's team
+const ALL_TENDERS_ROLES = ['General Manager'];
+
+const VIEW_PERMISSIONS = ['view_tenders', 'view_all'];
+// Any of these lets a team member change their tenders (tasks, notes, quotes, design calcs, status)
+const TENDER_EDIT_PERMISSIONS = [
+  'edit_all', 'edit_estimates', 'edit_designs', 'edit_planning',
+  'assign_actions', 'complete_actions', 'add_notes', 'upload_files',
+];
+const FILE_PERMISSIONS = ['upload_files', 'edit_all'];
+const DESIGN_MATERIAL_PERMISSIONS = ['edit_designs', 'edit_all'];
+// Anyone who creates or prices tenders may keep the client directory up to date
+const CLIENT_PERMISSIONS = ['create_tenders', 'edit_estimates', 'edit_all'];
+// Only administrators may write these fields of a user profile
+const PROTECTED_USER_FIELDS = ['role', 'customPermissions', 'isActive', 'email'];
+
+const checkPermissions = (permissions) => {
+  const unknown = permissions.filter(p => !PERMISSIONS.includes(p));
+  if (unknown.length) throw new Error(`Unknown permission(s) in rules: ${unknown.join(', ')}`);
+  return permissions;
+};
+
+const anyOf = (parts) => `(${parts.join(' || ')})`;
+const allOf = (parts) => `(${parts.join(' && ')})`;
+const oneOf = (expr, values) => anyOf(values.map(v => `${expr} == '${v}'`));
+
+// ---- Realtime Database ----
+
+const access = "root.child('userAccess').child(auth.uid)";
+const signedIn = `auth != null && ${access}.child('active').val() == true`;
+const can = (...permissions) => allOf([
+  signedIn,
+  anyOf(checkPermissions(permissions).map(p => `${access}.child('permissions').child('${p}').val() == true`)),
+]);
+
+const isTeamMember = (member) => allOf([
+  `${member}.isString()`,
+  anyOf([`${member}.val() == ${access}.child('name').val()`, `auth.token.email.beginsWith(${member}.val() + '@')`]),
+]);
+
+// tender: expression for the tender's snapshot, e.g. data or root.child('tenders').child($tenderId)
+const onTeam = (tender) => allOf([
+  signedIn,
+  anyOf([
+    oneOf(`${access}.child('role').val()`, ALL_TENDERS_ROLES),
+    ...TEAM_FIELDS.map(field => isTeamMember(`${tender}.child('${field}')`)),
+    ...TEAM_LISTS.flatMap(list => Array.from({ length: MAX_TEAM_LIST }, (_, i) => isTeamMember(`${tender}.child('${list}/${i}')`))),
+  ]),
+]);
+
+const tenderOf = "root.child('tenders').child($tenderId)";
+
+// Changes to an existing tender below tenders/{id}; creating and deleting tenders is left to the functions
+const canEditTender = allOf([
+  `${tenderOf}.exists()`,
+  anyOf([can('edit_all'), allOf([onTeam(tenderOf), can(...TENDER_EDIT_PERMISSIONS)])]),
+]);
+
+// History entries and quote revisions are written once and never changed or removed
+const writeOnce = allOf([canEditTender, '!data.exists()']);
+
+// Same as TENDER_STATES in index.html and netlify/lib/tenders.js; Won and Lost carry the fields the
+// lifecycle asks for, and every status change moves statusChangedAt
+const TENDER_STATES = ['Active', 'Action Required', 'On Hold', 'Won', 'Lost', 'Cancelled'];
+const sibling = (field) => `newData.parent().child('${field}')`;
+const validTenderStatus = allOf([
+  'newData.isString()',
+  oneOf('newData.val()', TENDER_STATES),
+  anyOf(["newData.val() != 'Won'", `${sibling('poNumber')}.isString()`]),
+  anyOf(["newData.val() != 'Lost'", allOf([`${sibling('lossReason')}.isString()`, `${sibling('competitor')}.isString()`])]),
+  anyOf(['newData.val() == data.val()', `${sibling('statusChangedAt')}.val() != data.parent().child('statusChangedAt').val()`]),
+]);
+
+// notifications/{emailKey}: the key is the email with . # $ [ ] replaced by _
+const ownEmailKey = `auth != null && auth.token.email${['.', '#', '$', '[', ']'].map(c => `.replace('${c}', '_')`).join('')} == $emailKey`;
+
+const selfSignup = allOf([
+  'auth != null',
+  'auth.uid == $uid',
+  '!data.exists()',
+  "newData.child('email').val() == auth.token.email",
+  oneOf("newData.child('role').val()", SELF_SIGNUP_ROLES),
+  "newData.child('isActive').val() == true",
+  "!newData.hasChild('customPermissions')",
+]);
+
+const buildDatabaseRules = () => ({
+  rules: {
+    '.read': false,
+    '.write': false,
+    users: {
+      '.read': signedIn,
+      $uid: {
+        '.read': 'auth != null && auth.uid == $uid',
+        '.write': anyOf([can('all'), selfSignup]),
+        role: { '.validate': `newData.isString() && ${oneOf('newData.val()', Object.keys(USER_ROLES))}` },
+        $field: {
+          '.write': allOf(['auth != null', 'auth.uid == $uid', ...PROTECTED_USER_FIELDS.map(f => `$field != '${f}'`)]),
+        },
+      },
+    },
+    userAccess: {
+      $uid: { '.read': 'auth != null && auth.uid == $uid' },
+    },
+    // Secrets such as the calendar feed token; users is readable by every signed-in user
+    userPrivate: {
+      $uid: { '.read': 'auth != null && auth.uid == $uid', '.write': 'auth != null && auth.uid == $uid' },
+    },
+    tenders: {
+      '.read': can(...VIEW_PERMISSIONS),
+      // The webhookDispatch schedule looks up recent status changes
+      '.indexOn': ['statusChangedAt'],
+      $tenderId: {
+        // New tenders are created by the createTender and importTenders functions, which allocate the VS number
+        // Deleting goes through the trash function, so nothing here removes the tender itself.
+        // Fields are written one by one, so clearing every field of a tender is not a way to delete it
+        $field: { '.write': allOf([canEditTender, 'newData.parent().exists()']) },
+        tenderStatus: { '.write': allOf([canEditTender, 'newData.exists()']), '.validate': validTenderStatus },
+        history: {
+          $entry: { '.write': writeOnce },
+        },
+        quote: {
+          $quoteField: { '.write': canEditTender },
+          revisions: {
+            $rev: { '.write': writeOnce },
+          },
+        },
+      },
+    },
+    'tender-messages': {
+      $tenderId: { '.read': onTeam(tenderOf), '.write': onTeam(tenderOf) },
+    },
+    // Files and folders are moved to the trash by the trash function, never removed here
+    'tender-files': {
+      $tenderId: {
+        '.read': onTeam(tenderOf),
+        $fileId: { '.write': allOf([onTeam(tenderOf), can(...FILE_PERMISSIONS), 'newData.exists()']) },
+      },
+    },
+    folders: {
+      $tenderId: {
+        '.read': onTeam(tenderOf),
+        $folderId: { '.write': allOf([onTeam(tenderOf), can(...FILE_PERMISSIONS), 'newData.exists()']) },
+      },
+    },
+    // Marks for the searchIndex schedule, set whenever a tender's record, chat or files change; only
+    // the schedule reads and clears them
+    searchQueue: {
+      $tenderId: {
+        '.write': allOf([`${tenderOf}.exists()`, anyOf([can('edit_all'), onTeam(tenderOf)]), 'newData.exists()']),
+        '.validate': 'newData.isNumber()',
+      },
+    },
+    // Written by the compareRevisions functions
+    revisionCompares: {
+      $tenderId: { '.read': onTeam(tenderOf) },
+    },
+    notifications: {
+      $emailKey: { '.read': ownEmailKey, '.write': ownEmailKey },
+    },
+    calendarFeeds: {
+      $token: {
+        '.write': anyOf([
+          "auth != null && !data.exists() && newData.child('uid').val() == auth.uid",
+          "auth != null && !newData.exists() && data.child('uid').val() == auth.uid",
+        ]),
+      },
+    },
+    clients: { '.read': signedIn, '.write': can(...CLIENT_PERMISSIONS) },
+    codeLibrary: { '.read': signedIn },
+    designMaterials: { '.read': signedIn, '.write': can(...DESIGN_MATERIAL_PERMISSIONS) },
+    quoteRates: { '.read': signedIn, '.write': can('manage_rates') },
+    slaSettings: { '.read': signedIn, '.write': can('all') },
+    // Written by the trash function, listed in the administrators' Trash view
+    trash: { '.read': can('all') },
+    // Written by the integrations function and the webhook schedule, listed in the Integrations view
+    apiKeys: { '.read': can('all') },
+    webhooks: { '.read': can('all') },
+    // The webhookDispatch schedule looks up due, expired and per-webhook deliveries (see netlify/lib/webhooks.js)
+    webhookDeliveries: { '.read': can('all'), '.indexOn': ['nextAttemptAt', 'createdAt', 'webhookId'] },
+    // counters, emailDigest, rateLimits, searchIndex, searchDocs, searchIndexState, slaState and webhookState
+    // are written by the Netlify functions only
+  },
+});
+
+// ---- Storage ----
+
+const storageList = (permissions) => `[${checkPermissions(permissions).map(p => `'${p}'`).join(', ')}]`;
+
+const buildStorageRules = () => `rules_version = '2';
+
+// Generated by rules/build.js from netlify/lib/permissions.js - do not edit by hand.
+service firebase.storage {
+  match /b/{bucket}/o {
+    function can(permissions) {
+      return request.auth != null
+        && request.auth.token.perms is list
+        && request.auth.token.perms.hasAny(permissions);
+    }
+
+    match /tender-files/{tenderId}/{fileName} {
+      allow read: if can(${storageList(VIEW_PERMISSIONS)});
+      allow write: if can(${storageList(FILE_PERMISSIONS)});
+    }
+
+    match /specs/{tenderId}/{fileName=**} {
+      allow read: if can(${storageList(VIEW_PERMISSIONS)});
+      allow write: if can(${storageList(FILE_PERMISSIONS)});
+    }
+
+    match /codes/{region}/{fileName} {
+      allow read: if can(${storageList(VIEW_PERMISSIONS)});
+      allow write: if can(${storageList(CODE_LIBRARY_PERMISSIONS)});
+    }
+
+    // Uploaded during sign-up, before the profile and claims exist
+    match /profile-pictures/{uid} {
+      allow read: if request.auth != null;
+      allow write: if request.auth != null && request.auth.uid == uid
+        && (request.resource == null
+          || (request.resource.size < 5 * 1024 * 1024 && request.resource.contentType.matches('image/.*')));
+    }
+  }
+}
+`;
+
+const renderDatabaseRules = () => `${JSON.stringify(buildDatabaseRules(), null, 2)}\n`;
+
+if (require.main === module) {
+  fs.writeFileSync(DATABASE_RULES_FILE, renderDatabaseRules());
+  fs.writeFileSync(STORAGE_RULES_FILE, buildStorageRules());
+  console.log(`Wrote ${path.relative(ROOT, DATABASE_RULES_FILE)} and ${path.relative(ROOT, STORAGE_RULES_FILE)}`);
+}
+
+module.exports = {
+  DATABASE_RULES_FILE,
+  STORAGE_RULES_FILE,
+  TENDER_EDIT_PERMISSIONS,
+  FILE_PERMISSIONS,
+  CODE_LIBRARY_PERMISSIONS,
+  buildDatabaseRules,
+  buildStorageRules,
+  renderDatabaseRules,
+};
@@ -0,0 +1,262 @@
+// Realtime Database rules: every role against the role table, team checks and role escalation.
+
+const { describe, test, before, after, beforeEach } = require('node:test');
+const { assertSucceeds, assertFails } = require('@firebase/rules-unit-testing');
+const { TENDER_ID, users, onTeam, can, seedData, setupEnvironment, contextFor } = require('./fixtures');
+const { TENDER_EDIT_PERMISSIONS, FILE_PERMISSIONS } = require('../build');
+
+let env;
+
+before(async () => {
+  env = await setupEnvironment();
+});
+
+after(async () => {
+  await env.cleanup();
+});
+
+beforeEach(async () => {
+  await env.clearDatabase();
+  await env.withSecurityRulesDisabled(context => context.database().ref().set(seedData()));
+});
+
+const db = (uid) => contextFor(env, uid).database();
+const expectAllowed = (allowed, promise) => (allowed ? assertSucceeds(promise) : assertFails(promise));
+const canEdit = (uid) => can(uid, 'edit_all') || (onTeam(uid) && can(uid, ...TENDER_EDIT_PERMISSIONS));
+
+for (const uid of Object.keys(users)) {
+  describe(`${users[uid].role} (${uid})`, () => {
+    test('tender list', () => expectAllowed(can(uid, 'view_tenders', 'view_all'), db(uid).ref('tenders').once('value')));
+
+    test('create a tender', () => assertFails(
+      db(uid).ref('tenders/VS2002').set({ id: 'VS2002', client: 'New', tenderStatus: 'Active' })
+    ));
+
+    test('move the VS number counter', () => assertFails(db(uid).ref('counters/vsNumber').set(3000)));
+
+    test('change a tender', () => expectAllowed(
+      canEdit(uid),
+      db(uid).ref(`tenders/${TENDER_ID}/notes`).set('Updated')
+    ));
+
+    test('append to the tender history', () => expectAllowed(
+      canEdit(uid),
+      db(uid).ref(`tenders/${TENDER_ID}/history/h2`).set({ type: 'submitted', by: users[uid].fullName, at: '2024-02-01T00:00:00.000Z' })
+    ));
+
+    test('mark the tender for the search index', () => expectAllowed(
+      onTeam(uid) || can(uid, 'edit_all'),
+      db(uid).ref(`searchQueue/${TENDER_ID}`).set(Date.now())
+    ));
+
+    test('edit a history entry', () => assertFails(db(uid).ref(`tenders/${TENDER_ID}/history/h1/by`).set('Someone else')));
+
+    test('delete a history entry', () => assertFails(db(uid).ref(`tenders/${TENDER_ID}/history/h1`).remove()));
+
+    test('replace the tender history', () => assertFails(db(uid).ref(`tenders/${TENDER_ID}/history`).set({})));
+
+    test('save a quote revision', () => expectAllowed(
+      canEdit(uid),
+      db(uid).ref(`tenders/${TENDER_ID}/quote/revisions/B`).set({ rev: 'B', number: 2, currency: 'AUD' })
+    ));
+
+    test('edit a saved quote revision', () => assertFails(db(uid).ref(`tenders/${TENDER_ID}/quote/revisions/A/currency`).set('USD')));
+
+    test('delete a saved quote revision', () => assertFails(db(uid).ref(`tenders/${TENDER_ID}/quote/revisions/A`).remove()));
+
+    test('change the status with the data it needs', () => expectAllowed(canEdit(uid), db(uid).ref(`tenders/${TENDER_ID}`).update({
+      tenderStatus: 'Won', poNumber: 'PO-1', statusChangedAt: '2024-03-01T00:00:00.000Z',
+    })));
+
+    test('mark a tender Won without a PO number', () => assertFails(db(uid).ref(`tenders/${TENDER_ID}`).update({
+      tenderStatus: 'Won', statusChangedAt: '2024-03-01T00:00:00.000Z',
+    })));
+
+    test('change the status without moving statusChangedAt', () => assertFails(db(uid).ref(`tenders/${TENDER_ID}/tenderStatus`).set('On Hold')));
+
+    // Deleting tenders, files and folders goes through the trash function
+    test('delete a tender', () => assertFails(db(uid).ref(`tenders/${TENDER_ID}`).remove()));
+
+    test('delete a tender by clearing its fields', () => assertFails(db(uid).ref(`tenders/${TENDER_ID}`).update(
+      Object.fromEntries(Object.keys(seedData().tenders[TENDER_ID]).map(field => [field, null]))
+    )));
+
+    test('read the tender chat', () => expectAllowed(onTeam(uid), db(uid).ref(`tender-messages/${TENDER_ID}`).once('value')));
+
+    test('post in the tender chat', () => expectAllowed(
+      onTeam(uid),
+      db(uid).ref(`tender-messages/${TENDER_ID}/m2`).set({ text: 'Hi', senderEmail: users[uid].email })
+    ));
+
+    test('read the tender files', () => expectAllowed(onTeam(uid), db(uid).ref(`tender-files/${TENDER_ID}`).once('value')));
+
+    test('add a tender file', () => expectAllowed(
+      onTeam(uid) && can(uid, ...FILE_PERMISSIONS),
+      db(uid).ref(`tender-files/${TENDER_ID}/f2`).set({ name: 'drawing.pdf' })
+    ));
+
+    test('add a folder', () => expectAllowed(
+      onTeam(uid) && can(uid, ...FILE_PERMISSIONS),
+      db(uid).ref(`folders/${TENDER_ID}/d2`).set({ name: 'Quotes' })
+    ));
+
+    test('move a file into a folder', () => expectAllowed(
+      onTeam(uid) && can(uid, ...FILE_PERMISSIONS),
+      db(uid).ref(`tender-files/${TENDER_ID}/f1/folderId`).set('d1')
+    ));
+
+    test('delete a tender file', () => assertFails(db(uid).ref(`tender-files/${TENDER_ID}/f1`).remove()));
+
+    test('delete all tender files', () => assertFails(db(uid).ref(`tender-files/${TENDER_ID}`).remove()));
+
+    test('delete a folder', () => assertFails(db(uid).ref(`folders/${TENDER_ID}/d1`).remove()));
+
+    test('read revision comparisons', () => expectAllowed(onTeam(uid), db(uid).ref(`revisionCompares/${TENDER_ID}`).once('value')));
+
+    test('write a revision comparison', () => assertFails(
+      db(uid).ref(`revisionCompares/${TENDER_ID}/f1_f2`).set({ status: 'done', clauses: [] })
+    ));
+
+    test('read the user list', () => expectAllowed(users[uid].isActive !== false, db(uid).ref('users').once('value')));
+
+    // Only administrators change roles, their own included
+    test('raise their own role', () => expectAllowed(can(uid, 'all'), db(uid).ref(`users/${uid}/role`).set('Admin')));
+
+    test('grant themselves permissions', () => expectAllowed(
+      can(uid, 'all'),
+      db(uid).ref(`users/${uid}/customPermissions`).set({ granted: ['all'] })
+    ));
+
+    test('reactivate or deactivate themselves', () => expectAllowed(can(uid, 'all'), db(uid).ref(`users/${uid}/isActive`).set(true)));
+
+    test('edit their own name', () => assertSucceeds(db(uid).ref(`users/${uid}/fullName`).set(`${users[uid].fullName} Jr`)));
+
+    test("edit someone else's name", () => expectAllowed(can(uid, 'all'), db(uid).ref('users/viewer/fullName').set('Renamed')));
+
+    test("change someone else's role", () => expectAllowed(can(uid, 'all'), db(uid).ref('users/viewer/role').set('Estimator')));
+
+    test('write userAccess', () => assertFails(db(uid).ref(`userAccess/${uid}/permissions/all`).set(true)));
+
+    test('read their own userAccess', () => assertSucceeds(db(uid).ref(`userAccess/${uid}`).once('value')));
+
+    test("read someone else's userAccess", () => assertFails(db(uid).ref('userAccess/viewer').once('value')));
+
+    test('edit the rate table', () => expectAllowed(can(uid, 'manage_rates'), db(uid).ref('quoteRates/baseCurrency').set('USD')));
+
+    test('edit the material table', () => expectAllowed(
+      can(uid, 'edit_designs', 'edit_all'),
+      db(uid).ref('designMaterials/sa516/name').set('SA-516 Gr 70')
+    ));
+
+    test('read the client directory', () => assertSucceeds(db(uid).ref('clients').once('value')));
+
+    test('edit the client directory', () => expectAllowed(
+      can(uid, 'create_tenders', 'edit_estimates', 'edit_all'),
+      db(uid).ref('clients/c1/notes').set('Prefers ASME')
+    ));
+
+    test('list the trash', () => expectAllowed(can(uid, 'all'), db(uid).ref('trash').once('value')));
+
+    test('write the trash', () => assertFails(db(uid).ref('trash/t1').set({ type: 'tender', tenderId: TENDER_ID })));
+
+    test('list API keys and webhooks', () => expectAllowed(can(uid, 'all'), db(uid).ref('webhooks').once('value')));
+
+    test('issue an API key', () => assertFails(db(uid).ref('apiKeys/k1').set({ name: 'ERP', scopes: ['tenders:read'], hash: 'x' })));
+
+    test('change a webhook', () => assertFails(db(uid).ref('webhooks/w1/url').set('https://example.com/hook')));
+
+    test('edit due-date alert settings', () => expectAllowed(can(uid, 'all'), db(uid).ref('slaSettings/thresholdDays').set([3])));
+  });
+}
+
+describe('roles and sign-up', () => {
+  test('an administrator cannot set a role that does not exist', () => assertFails(db('admin').ref('users/viewer/role').set('Owner')));
+
+  test('new users can create their profile with a sign-up role', () => assertSucceeds(
+    contextFor(env, 'newcomer').database().ref('users/newcomer').set({
+      email: 'newcomer@vesselforge.test', fullName: 'New Comer', role: 'Estimator', isActive: true,
+    })
+  ));
+
+  for (const role of ['General Manager', 'Sales Manager', 'Manager', 'Admin']) {
+    test(`new users cannot sign up as ${role}`, () => assertFails(
+      contextFor(env, 'newcomer').database().ref('users/newcomer').set({
+        email: 'newcomer@vesselforge.test', fullName: 'New Comer', role, isActive: true,
+      })
+    ));
+  }
+
+  test('new users cannot give themselves custom permissions', () => assertFails(
+    contextFor(env, 'newcomer').database().ref('users/newcomer').set({
+      email: 'newcomer@vesselforge.test', fullName: 'New Comer', role: 'Viewer', isActive: true, customPermissions: { granted: ['all'] },
+    })
+  ));
+
+  test('new users cannot create a profile under another email', () => assertFails(
+    contextFor(env, 'newcomer').database().ref('users/newcomer').set({
+      email: 'admin@vesselforge.test', fullName: 'New Comer', role: 'Viewer', isActive: true,
+    })
+  ));
+
+  test('users cannot replace their existing profile', () => assertFails(
+    db('estimator').ref('users/estimator').set({ ...users.estimator, role: 'Estimator' })
+  ));
+
+  test('signed-out visitors read nothing', () => assertFails(env.unauthenticatedContext().database().ref('tenders').once('value')));
+});
+
+describe('notifications', () => {
+  test('users read their own', () => assertSucceeds(db('viewer').ref('notifications/viewer@vesselforge_test').once('value')));
+
+  test('users mark their own as read', () => assertSucceeds(db('viewer').ref('notifications/viewer@vesselforge_test/n1/read').set(true)));
+
+  test("users cannot read someone else's", () => assertFails(db('estimator').ref('notifications/viewer@vesselforge_test').once('value')));
+
+  test("users cannot write someone else's", () => assertFails(db('admin').ref('notifications/viewer@vesselforge_test/n2').set({ title: 'Fake' })));
+});
+
+describe('calendar feeds', () => {
+  test('users read their own feed token', () => assertSucceeds(db('viewer').ref('userPrivate/viewer/calendarFeedToken').once('value')));
+
+  for (const uid of ['estimator', 'admin']) {
+    test(`${uid} cannot read someone else's feed token`, () => assertFails(db(uid).ref('userPrivate/viewer').once('value')));
+  }
+
+  test("users cannot replace someone else's feed token", () => assertFails(
+    db('admin').ref('userPrivate/viewer/calendarFeedToken').set('admin-feed-token-0000000000000')
+  ));
+
+  test('users create their own feed', () => assertSucceeds(db('estimator').ref().update({
+    'calendarFeeds/estimator-feed-token-0000000000': { uid: 'estimator', createdAt: '2024-01-01T00:00:00.000Z' },
+    'userPrivate/estimator/calendarFeedToken': 'estimator-feed-token-0000000000',
+  })));
+
+  test("users cannot remove someone else's feed", () => assertFails(db('estimator').ref('calendarFeeds/viewer-feed-token-000000000000').remove()));
+});
+
+// The Clients view's merge relinks every tender of the client in one update (mergeClients in index.html)
+describe('client merge', () => {
+  const merge = (uid) => db(uid).ref().update({
+    'clients/c1': { id: 'c1', name: 'Acme', aliases: ['ACME Pty Ltd'] },
+    [`tenders/${TENDER_ID}/clientId`]: 'c1',
+    [`tenders/${TENDER_ID}/client`]: 'Acme',
+    [`tenders/${TENDER_ID}/history/hm`]: { type: 'client-merged', from: 'Acme', to: 'Acme', by: users[uid].fullName, at: '2024-04-01T00:00:00.000Z' },
+  });
+
+  for (const uid of ['admin', 'manager']) {
+    test(`${uid} can merge`, () => assertSucceeds(merge(uid)));
+  }
+
+  // May edit the client directory, but not tenders outside their team
+  test('a client editor cannot relink tenders off their team', () => assertFails(merge('granted-viewer')));
+});
+
+describe('search queue', () => {
+  test('marks are epoch ms', () => assertFails(db('admin').ref(`searchQueue/${TENDER_ID}`).set('now')));
+
+  test('marks cannot be cleared', () => assertFails(db('admin').ref(`searchQueue/${TENDER_ID}`).remove()));
+
+  test('tenders that do not exist cannot be marked', () => assertFails(db('admin').ref('searchQueue/VS9999').set(Date.now())));
+
+  test('the index is not readable', () => assertFails(db('admin').ref('searchDocs').once('value')));
+});
@@ -0,0 +1,78 @@
+// Shared fixtures for the rules tests: one user per role, a tender and the emulator environment.
+// Run with `npm run test:rules`, which starts the Database and Storage emulators around node --test.
+
+const fs = require('fs');
+const { initializeTestEnvironment } = require('@firebase/rules-unit-testing');
+const { USER_ROLES, hasPermission } = require('../../netlify/lib/permissions');
+const { buildUserAccess, accessClaims } = require('../../netlify/lib/access');
+const { DATABASE_RULES_FILE, STORAGE_RULES_FILE } = require('../build');
+
+const PROJECT_ID = 'demo-vesselforge';
+const TENDER_ID = 'VS1001';
+
+const slug = (role) => role.toLowerCase().replace(/\s+/g, '-');
+
+// uid is the role slug, e.g. users['design-engineer'] is the Design Engineer
+const users = Object.fromEntries(Object.keys(USER_ROLES).map(role => [slug(role), {
+  email: `${slug(role)}@vesselforge.test`,
+  fullName: `${role} Person`,
+  role,
+  isActive: true,
+}]));
+
+// Custom permissions and deactivation on top of the plain roles
+Object.assign(users, {
+  'granted-viewer': { email: 'granted-viewer@vesselforge.test', fullName: 'Granted Viewer', role: 'Viewer', isActive: true, customPermissions: { granted: ['create_tenders'] } },
+  'denied-manager': { email: 'denied-manager@vesselforge.test', fullName: 'Denied Manager', role: 'Manager', isActive: true, customPermissions: { denied: ['edit_all', 'create_tenders'] } },
+  'inactive-admin': { email: 'inactive-admin@vesselforge.test', fullName: 'Inactive Admin', role: 'Admin', isActive: false },
+});
+
+// Team by full name, by email local part and through the team lists; Planner, Manager, Admin and
+// Sales Manager are not on it
+const tender = {
+  id: TENDER_ID,
+  client: 'Acme',
+  project: 'Separator',
+  tenderStatus: 'Active',
+  assignedTo: 'Estimator Person',
+  designers: ['design-engineer'],
+  planners: ['Viewer Person'],
+  estimators: ['Estimator Person', 'denied-manager'],
+  statusChangedAt: '2024-01-01T00:00:00.000Z',
+  history: { h1: { type: 'created', to: TENDER_ID, by: 'Admin Person', at: '2024-01-01T00:00:00.000Z' } },
+  quote: { revisionCount: 1, revisions: { A: { rev: 'A', number: 1, currency: 'AUD', savedAt: '2024-01-02T00:00:00.000Z' } } },
+};
+const TEAM = ['estimator', 'design-engineer', 'viewer', 'denied-manager'];
+
+const onTeam = (uid) => users[uid].isActive !== false && (TEAM.includes(uid) || users[uid].role === 'General Manager');
+const can = (uid, ...permissions) => users[uid].isActive !== false && permissions.some(p => hasPermission(users[uid], p));
+
+const seedData = () => ({
+  users,
+  userAccess: Object.fromEntries(Object.entries(users).map(([uid, u]) => [uid, buildUserAccess(uid, u, users)])),
+  tenders: { [TENDER_ID]: tender },
+  'tender-messages': { [TENDER_ID]: { m1: { text: 'Hello', sender: 'Estimator Person', senderEmail: users.estimator.email } } },
+  'tender-files': { [TENDER_ID]: { f1: { name: 'spec.pdf' } } },
+  folders: { [TENDER_ID]: { d1: { name: 'Drawings' } } },
+  notifications: { 'viewer@vesselforge_test': { n1: { title: 'Hi', read: false } } },
+  calendarFeeds: { 'viewer-feed-token-000000000000': { uid: 'viewer', createdAt: '2024-01-01T00:00:00.000Z' } },
+  userPrivate: { viewer: { calendarFeedToken: 'viewer-feed-token-000000000000' } },
+  quoteRates: { baseCurrency: 'AUD' },
+  slaSettings: { thresholdDays: [5, 2] },
+  designMaterials: { sa516: { name: 'SA-516-70' } },
+});
+
+const setupEnvironment = () => initializeTestEnvironment({
+  projectId: PROJECT_ID,
+  database: { rules: fs.readFileSync(DATABASE_RULES_FILE, 'utf8') },
+  storage: { rules: fs.readFileSync(STORAGE_RULES_FILE, 'utf8') },
+});
+
+// Authenticated context with the token claims syncAccess would have set
+const contextFor = (env, uid) => {
+  const user = users[uid];
+  const claims = user ? accessClaims(buildUserAccess(uid, user, users)) : {};
+  return env.authenticatedContext(uid, { email: user?.email || `${uid}@vesselforge.test`, ...claims });
+};
+
+module.exports = { TENDER_ID, users, tender, onTeam, can, seedData, setupEnvironment, contextFor };
@@ -0,0 +1,14 @@
+// The committed rule files must be what rules/build.js generates from the current role table.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { DATABASE_RULES_FILE, STORAGE_RULES_FILE, renderDatabaseRules, buildStorageRules } = require('../build');
+
+test('database.rules.json is up to date - run npm run rules', () => {
+  assert.strictEqual(fs.readFileSync(DATABASE_RULES_FILE, 'utf8'), renderDatabaseRules());
+});
+
+test('storage.rules is up to date - run npm run rules', () => {
+  assert.strictEqual(fs.readFileSync(STORAGE_RULES_FILE, 'utf8'), buildStorageRules());
+});
@@ -0,0 +1,74 @@
+// Storage rules: every role against the role table through the { role, perms } token claims.
+
+const { describe, test, before, after, beforeEach } = require('node:test');
+const { assertSucceeds, assertFails } = require('@firebase/rules-unit-testing');
+const { TENDER_ID, users, can, setupEnvironment, contextFor } = require('./fixtures');
+const { FILE_PERMISSIONS, CODE_LIBRARY_PERMISSIONS } = require('../build');
+
+let env;
+
+before(async () => {
+  env = await setupEnvironment();
+});
+
+after(async () => {
+  await env.cleanup();
+});
+
+beforeEach(async () => {
+  await env.clearStorage();
+  await env.withSecurityRulesDisabled(async context => {
+    const storage = context.storage();
+    await storage.ref(`tender-files/${TENDER_ID}/f1_spec.pdf`).putString('spec');
+    await storage.ref(`codes/australian/AS1210.pdf`).putString('code');
+  });
+});
+
+const storage = (uid) => contextFor(env, uid).storage();
+const expectAllowed = (allowed, promise) => (allowed ? assertSucceeds(promise) : assertFails(promise));
+const image = { contentType: 'image/png' };
+
+for (const uid of Object.keys(users)) {
+  describe(`${users[uid].role} (${uid})`, () => {
+    test('download a tender file', () => expectAllowed(
+      can(uid, 'view_tenders', 'view_all'),
+      storage(uid).ref(`tender-files/${TENDER_ID}/f1_spec.pdf`).getDownloadURL()
+    ));
+
+    test('upload a tender file', () => expectAllowed(
+      can(uid, ...FILE_PERMISSIONS),
+      storage(uid).ref(`tender-files/${TENDER_ID}/f2_drawing.pdf`).putString('drawing')
+    ));
+
+    test('delete a tender file', () => expectAllowed(
+      can(uid, ...FILE_PERMISSIONS),
+      storage(uid).ref(`tender-files/${TENDER_ID}/f1_spec.pdf`).delete()
+    ));
+
+    test('upload a spec for review', () => expectAllowed(
+      can(uid, ...FILE_PERMISSIONS),
+      storage(uid).ref(`specs/${TENDER_ID}/run1/spec.pdf`).putString('spec')
+    ));
+
+    test('upload a code', () => expectAllowed(
+      can(uid, ...CODE_LIBRARY_PERMISSIONS),
+      storage(uid).ref('codes/australian/AS4458.pdf').putString('code')
+    ));
+
+    test('upload their own profile picture', () => assertSucceeds(
+      storage(uid).ref(`profile-pictures/${uid}`).putString('png', 'raw', image)
+    ));
+
+    test("replace someone else's profile picture", () => assertFails(
+      storage(uid).ref('profile-pictures/viewer-other').putString('png', 'raw', image)
+    ));
+  });
+}
+
+describe('profile pictures', () => {
+  test('must be images', () => assertFails(storage('viewer').ref('profile-pictures/viewer').putString('text', 'raw', { contentType: 'text/plain' })));
+
+  test('signed-out visitors cannot read files', () => assertFails(
+    env.unauthenticatedContext().storage().ref(`tender-files/${TENDER_ID}/f1_spec.pdf`).getDownloadURL()
+  ));
+});
@@ -1,9 +1,11 @@
-// Netlify Function: Spec Review with Claude (Anthropic)
+// Netlify Function: Spec Review (single request, no job)
 // Endpoint: /.netlify/functions/specReview
-// Requires env var: ANTHROPIC_API_KEY
+// Requires an LLM provider: ANTHROPIC_API_KEY or OPENAI_COMPAT_BASE_URL (see netlify/lib/llm)
 // Optional dependencies (auto-bundled by Netlify): @anthropic-ai/sdk, pdf-parse, mammoth
 
-const DEFAULT_MODEL = process.env.CLAUDE_MODEL || 'claude-3-5-sonnet-20240620';
+const { extractRequirements } = require('./netlify/lib/specAnalysis');
+const { CATEGORIES, SEVERITIES } = require('./netlify/lib/requirementSchema');
+const { resolveProvider } = require('./netlify/lib/llm');
 
 exports.handler = async (event) => {
   try {
@@ -11,15 +13,14 @@ exports.handler = async (event) => {
       return { statusCode: 405, body: 'Method Not Allowed' };
     }
 
-    const apiKey = process.env.ANTHROPIC_API_KEY;
-    if (!apiKey) {
+    const { tenderId, files = [], provider, model } = JSON.parse(event.body || '{}');
+    const llm = resolveProvider(provider);
+    if (!llm) {
       return {
         statusCode: 501,
-        body: JSON.stringify({ error: 'ANTHROPIC_API_KEY not set on server' }),
+        body: JSON.stringify({ error: provider ? `LLM provider "${provider}" not available on server` : 'No LLM provider configured on server' }),
       };
     }
-
-    const { tenderId, files = [], model } = JSON.parse(event.body || '{}');
     if (!tenderId || !Array.isArray(files) || files.length === 0) {
       return { statusCode: 400, body: JSON.stringify({ error: 'tenderId and files[] required' }) };
     }
@@ -107,62 +108,34 @@ exports.handler = async (event) => {
       }
     }
 
-    // Build prompt for Claude
+    // Build prompt
     const combined = docs.map(d => `FILE: ${d.name}\n${d.text}`).join('\n\n---\n\n');
-    const system = `You are an expert mechanical/process engineering spec reviewer for pressure vessels and related equipment. Extract critical requirements and risks from client specifications. Return strict JSON only.`;
-    const user = `From the following documents, extract a prioritized list of requirements and checks that impact design, materials, code compliance, testing/inspection, documentation, and delivery. For each item, return:\n- id: string (stable)\n- severity: High | Medium | Low\n- category: Design | Materials | Fabrication | Testing | Documentation | Delivery | Safety | Code\n- requirement: concise requirement statement\n- rationale: why this matters / downstream impact\n- source: { fileName: string, page?: number } (best effort)\n\nOnly output JSON array. Documents:\n\n${combined}`;
+    const system = `You are an expert mechanical/process engineering spec reviewer for pressure vessels and related equipment. Extract critical requirements and risks from client specifications.`;
+    const user = `From the following documents, extract a prioritized list of requirements and checks that impact design, materials, code compliance, testing/inspection, documentation, and delivery. Record each item with the record_requirements tool:\n- severity: ${SEVERITIES.join(' | ')}\n- category: ${CATEGORIES.join(' | ')}\n- requirement: concise requirement statement\n- rationale: why this matters / downstream impact\n- source: { fileName: string, page: number, quote: string } (best effort)\n\nDocuments:\n\n${combined}`;
 
-    // Call Anthropic
-    const { default: Anthropic } = await import('@anthropic-ai/sdk');
-    const anthropic = new Anthropic({ apiKey });
-    let completion;
+    // Call the provider through the shared requirement schema (tool output, validation, continuation)
+    const diagnostics = [`LLM: ${llm.name}/${model || llm.defaultModel()}`];
+    let extracted;
     try {
-      completion = await anthropic.messages.create({
-        model: model || DEFAULT_MODEL,
-        max_tokens: 1400,
-        temperature: 0,
-        system,
-        messages: [{ role: 'user', content: user }],
-      });
+      extracted = await extractRequirements(llm, { model, system, prompt: user, maxTokens: 1400, label: tenderId }, diagnostics);
     } catch (e) {
-      console.error('Anthropic API error', e?.response?.data || e.message);
-      return { statusCode: 502, body: JSON.stringify({ error: 'Claude API error', details: e.message }) };
-    }
-
-    // Extract text from blocks
-    const textBlocks = (completion.content || [])
-      .filter(b => b.type === 'text')
-      .map(b => b.text)
-      .join('\n');
-
-    let results = [];
-    try {
-      // Attempt strict JSON parse; fallback to bracket extraction
-      results = JSON.parse(textBlocks);
-    } catch {
-      const start = textBlocks.indexOf('[');
-      const end = textBlocks.lastIndexOf(']');
-      if (start !== -1 && end !== -1 && end > start) {
-        results = JSON.parse(textBlocks.slice(start, end + 1));
-      } else {
-        results = [];
-      }
+      console.error('LLM API error', llm.name, e?.response?.data || e.message);
+      return { statusCode: 502, body: JSON.stringify({ error: 'LLM API error', details: e.message }) };
     }
 
-    // Basic normalization
-    results = (Array.isArray(results) ? results : []).map((r, i) => ({
-      id: String(r.id || i + 1),
-      severity: r.severity || 'Medium',
-      category: r.category || 'Design',
-      requirement: r.requirement || '',
-      rationale: r.rationale || '',
-      source: r.source || null,
+    const results = extracted.items.map((r, i) => ({
+      id: String(i + 1),
+      severity: r.severity,
+      category: r.category,
+      requirement: r.requirement,
+      rationale: r.rationale,
+      source: r.source,
     }));
 
     return {
       statusCode: 200,
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ tenderId, results }),
+      body: JSON.stringify({ tenderId, results, diagnostics }),
     };
   } catch (error) {
     console.error('specReview error', error);